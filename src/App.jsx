@@ -15,7 +15,8 @@
  * @version 1.0.0
  */
 
-import { BrowserRouter, Routes, Route } from "react-router-dom";
+import { useEffect } from "react";
+import { BrowserRouter, Routes, Route, Navigate, useLocation } from "react-router-dom";
 import { AuthProvider, useAuth } from "./contexts/AuthContext";
 import { NotificationProvider, NotificationContainer } from "./contexts/NotificationContext";
 import LoginPage from "./pages/LoginPage";
@@ -26,6 +27,11 @@ import FacultyProfileForm from "./components/profile/FacultyProfileForm";
 import StudentProfileForm from "./components/profile/StudentProfileFrom";
 import ProtectedRoute from "./components/common/ProtectedRoute";
 import QRRotationDebugger from "./components/debug/QRRotationDebugger";
+import PresenterView from "./pages/PresenterView";
+import ScanPage from "./pages/ScanPage";
+import MediaRetentionPage from "./pages/MediaRetentionPage";
+import { savePendingScanLink, getPendingScanLink } from "./services/qrServices";
+import { QR_PAYLOAD_CONFIG } from "./utils/constants";
 
 /**
  * AppRoutes Component
@@ -36,11 +42,27 @@ import QRRotationDebugger from "./components/debug/QRRotationDebugger";
  * 2. Check if user has completed their profile
  * 3. Route to appropriate dashboard based on user role
  * 
+ * A scan link opened before signing in (or before the profile is complete)
+ * is kept and reopened once the student reaches the routes.
+ * 
  * @returns {JSX.Element} The appropriate component based on user state
  */
 function AppRoutes() {
   // Get authentication state from AuthContext
   const { user, userProfile, loading } = useAuth();
+  const location = useLocation();
+
+  const scanLinkPayload = location.pathname === QR_PAYLOAD_CONFIG.SCAN_PATH
+    ? new URLSearchParams(location.search).get(QR_PAYLOAD_CONFIG.TOKEN_PARAM)
+    : null;
+  const awaitingSignIn = !user || !userProfile?.profileComplete;
+
+  // Keep the scan link across sign-in and profile completion
+  useEffect(() => {
+    if (!loading && awaitingSignIn && scanLinkPayload) {
+      savePendingScanLink(scanLinkPayload);
+    }
+  }, [loading, awaitingSignIn, scanLinkPayload]);
 
   // Show loading spinner while authentication state is being determined
   if (loading) {
@@ -72,6 +94,15 @@ function AppRoutes() {
     }
   }
 
+  // Resume a scan link the student opened before signing in
+  const pendingScanLink = userProfile?.role === 'student' && !scanLinkPayload
+    ? getPendingScanLink()
+    : null;
+  if (pendingScanLink) {
+    const { SCAN_PATH, TOKEN_PARAM } = QR_PAYLOAD_CONFIG;
+    return <Navigate to={`${SCAN_PATH}?${TOKEN_PARAM}=${encodeURIComponent(pendingScanLink.payload)}`} replace />;
+  }
+
   // Main application routes - user is authenticated and has complete profile
   return (
     <Routes>
@@ -109,6 +140,21 @@ function AppRoutes() {
         }
       />
       
+      {/* Full-screen projector view of a live session - faculty only */}
+      <Route path="/present/:sessionId" element={
+        userProfile?.role === 'faculty' ? <PresenterView /> : <Navigate to="/" replace />
+      } />
+      
+      {/* Attendance scan links opened from a phone camera - students only */}
+      <Route path="/scan" element={
+        userProfile?.role === 'student' ? <ScanPage /> : <Navigate to="/" replace />
+      } />
+      
+      {/* Retention purge of QR images and attendance photos - admins only */}
+      <Route path="/admin/media-retention" element={
+        userProfile?.role === 'admin' ? <MediaRetentionPage /> : <Navigate to="/" replace />
+      } />
+      
       {/* Temporary debug route for QR rotation testing */}
       <Route path="/debug-qr" element={<QRRotationDebugger />} />
     </Routes>
@@ -1,8 +1,12 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { BarChart3, Download, Calendar, Users, BookOpen, Search, Filter } from 'lucide-react';
 import Button from '../common/Button';
 import Input from '../common/Input';
 import { useAuth } from '../../contexts/AuthContext';
+import { useNotify } from '../../contexts/NotificationContext';
+import { getAttendanceReport, timetableService } from '../../services/firebase';
+import { LATE_CREDIT_POLICY } from '../../utils/constants';
+import { formatSlotLabel } from '../../utils/helpers';
 
 const BATCH_OPTIONS = {
   'School of Technology': [
@@ -26,55 +30,33 @@ const BATCH_OPTIONS = {
   ]
 };
 
-// Mock report data
-const MOCK_REPORTS = [
-  {
-    id: '1',
-    date: '2024-01-15',
-    school: 'School of Technology',
-    batch: 'BCA 2022-25',
-    subject: 'JAVA',
-    totalStudents: 30,
-    presentStudents: 28,
-    absentStudents: 2,
-    percentage: 93.33
-  },
-  {
-    id: '2',
-    date: '2024-01-14', 
-    school: 'School of Technology',
-    batch: 'BCA 2023-26',
-    subject: 'DSA',
-    totalStudents: 25,
-    presentStudents: 22,
-    absentStudents: 3,
-    percentage: 88.00
-  },
-  {
-    id: '3',
-    date: '2024-01-13',
-    school: 'School of Management',
-    batch: 'BBA 2023-26',
-    subject: 'Business Communication',
-    totalStudents: 35,
-    presentStudents: 30,
-    absentStudents: 5,
-    percentage: 85.71
-  }
-];
-
 const AttendanceReports = () => {
   const [filterData, setFilterData] = useState({
     school: '',
     batch: '',
     subject: '',
+    timetableSlotId: '',
     startDate: '',
     endDate: ''
   });
-  const [reports] = useState(MOCK_REPORTS);
+  const [timetableSlots, setTimetableSlots] = useState([]);
+  const [reports, setReports] = useState([]);
+  const [latePolicy, setLatePolicy] = useState(null);
   const [loading, setLoading] = useState(false);
 
-  const { userProfile } = useAuth();
+  const { user, userProfile } = useAuth();
+  const notify = useNotify();
+
+  useEffect(() => {
+    if (!user?.uid) return;
+    timetableService.getFacultyTimetable(user.uid).then((result) => {
+      if (result.success) setTimetableSlots(result.data);
+    });
+  }, [user?.uid]);
+
+  const slotLabels = Object.fromEntries(
+    timetableSlots.map(slot => [slot.id, formatSlotLabel(slot)])
+  );
 
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
@@ -94,11 +76,24 @@ const AttendanceReports = () => {
 
   const generateReport = async () => {
     setLoading(true);
-    // Simulate API call
-    setTimeout(() => {
-      setLoading(false);
-      alert('Report generated! In a real app, this would fetch filtered data.');
-    }, 1000);
+    const result = await getAttendanceReport(user.uid, filterData);
+    if (result.success) {
+      setReports(result.data);
+      setLatePolicy(result.policy);
+    } else {
+      notify.error(result.error || 'Failed to generate report');
+    }
+    setLoading(false);
+  };
+
+  const describeLatePolicy = (policy) => {
+    if (policy.creditPolicy === LATE_CREDIT_POLICY.PARTIAL) {
+      return `Late marks count as ${policy.partialCredit * 100}% of a present`;
+    }
+    if (policy.creditPolicy === LATE_CREDIT_POLICY.ABSENT) {
+      return 'Late marks count as absent';
+    }
+    return 'Late marks count as present';
   };
 
   const exportReport = (format) => {
@@ -126,7 +121,7 @@ const AttendanceReports = () => {
     ? (reports.reduce((sum, report) => sum + report.percentage, 0) / reports.length).toFixed(1)
     : 0;
   const totalStudentsInReports = reports.reduce((sum, report) => sum + report.totalStudents, 0);
-  const totalPresentInReports = reports.reduce((sum, report) => sum + report.presentStudents, 0);
+  const totalPresentInReports = reports.reduce((sum, report) => sum + report.presentStudents + report.lateStudents, 0);
 
   return (
     <div className="space-y-6">
@@ -180,7 +175,7 @@ const AttendanceReports = () => {
           <h3 className="text-lg font-semibold text-gray-900">Report Filters</h3>
         </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
           {/* School Filter */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">School</label>
@@ -230,6 +225,22 @@ const AttendanceReports = () => {
             </select>
           </div>
 
+          {/* Timetable Slot Filter */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Timetable Slot</label>
+            <select
+              name="timetableSlotId"
+              value={filterData.timetableSlotId}
+              onChange={handleFilterChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All Slots</option>
+              {timetableSlots.map(slot => (
+                <option key={slot.id} value={slot.id}>{slotLabels[slot.id]}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Date Range */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
@@ -282,7 +293,12 @@ const AttendanceReports = () => {
 
       {/* Reports Table */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-        <h3 className="text-lg font-semibold text-gray-900 mb-6">Attendance Reports</h3>
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-6">
+          <h3 className="text-lg font-semibold text-gray-900">Attendance Reports</h3>
+          {latePolicy && (
+            <p className="text-xs text-gray-500">{describeLatePolicy(latePolicy)}</p>
+          )}
+        </div>
         
         {reports.length === 0 ? (
           <div className="text-center py-8">
@@ -301,6 +317,7 @@ const AttendanceReports = () => {
                   <th className="text-left py-3 px-4 font-semibold text-gray-900">Subject</th>
                   <th className="text-center py-3 px-4 font-semibold text-gray-900">Total</th>
                   <th className="text-center py-3 px-4 font-semibold text-gray-900">Present</th>
+                  <th className="text-center py-3 px-4 font-semibold text-gray-900">Late</th>
                   <th className="text-center py-3 px-4 font-semibold text-gray-900">Absent</th>
                   <th className="text-center py-3 px-4 font-semibold text-gray-900">Percentage</th>
                 </tr>
@@ -310,14 +327,25 @@ const AttendanceReports = () => {
                   <tr key={report.id} className="border-b border-gray-100 hover:bg-gray-50">
                     <td className="py-3 px-4 text-gray-900">
                       {new Date(report.date).toLocaleDateString()}
+                      {report.timetableSlotId && (
+                        <p className="text-xs text-gray-500">
+                          {slotLabels[report.timetableSlotId] || report.room || 'Timetable slot'}
+                        </p>
+                      )}
                     </td>
                     <td className="py-3 px-4 text-gray-600">{report.school}</td>
-                    <td className="py-3 px-4 text-gray-600">{report.batch}</td>
+                    <td className="py-3 px-4 text-gray-600">
+                      {report.batch}
+                      {report.combined && <p className="text-xs text-gray-400">Combined session</p>}
+                    </td>
                     <td className="py-3 px-4 text-gray-900 font-medium">{report.subject}</td>
                     <td className="py-3 px-4 text-center text-gray-900">{report.totalStudents}</td>
                     <td className="py-3 px-4 text-center text-green-600 font-medium">
                       {report.presentStudents}
                     </td>
+                    <td className="py-3 px-4 text-center text-yellow-600 font-medium">
+                      {report.lateStudents}
+                    </td>
                     <td className="py-3 px-4 text-center text-red-600 font-medium">
                       {report.absentStudents}
                     </td>
@@ -0,0 +1,60 @@
+/**
+ * Batch Picker Component
+ *
+ * Multi-select for the batches a session covers. Picking more than one
+ * batch makes a combined session (merged lectures, electives).
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import { Check } from 'lucide-react';
+
+/**
+ * BatchPicker Component
+ *
+ * @param {object} props - Component props
+ * @param {Array} props.options - Batches { id, name } to choose from
+ * @param {Array} props.value - Selected batch ids
+ * @param {Function} props.onChange - Called with the new list of ids
+ * @param {boolean} props.disabled - Disable selection
+ * @returns {JSX.Element} Toggleable batch chips
+ */
+const BatchPicker = ({ options = [], value = [], onChange, disabled = false }) => {
+  const toggle = (batchId) => {
+    onChange(value.includes(batchId)
+      ? value.filter(id => id !== batchId)
+      : [...value, batchId]);
+  };
+
+  if (options.length === 0) {
+    return <p className="text-sm text-gray-500 py-2">Select a school first</p>;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {options.map(batch => {
+        const selected = value.includes(batch.id);
+        return (
+          <button
+            key={batch.id}
+            type="button"
+            onClick={() => toggle(batch.id)}
+            disabled={disabled}
+            className={`flex items-center gap-1 px-3 py-2 text-sm font-medium rounded-lg border-2 transition-colors disabled:opacity-50 ${
+              selected
+                ? 'border-green-500 bg-green-50 text-green-700'
+                : 'border-gray-200 bg-white text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            {selected && <Check className="w-4 h-4" />}
+            {batch.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default BatchPicker;
@@ -0,0 +1,132 @@
+/**
+ * Device Approvals Component for Faculty
+ *
+ * Lists devices that students tried to mark attendance from after reaching
+ * system_config.maxDevicesPerStudent, and lets faculty approve or reject them.
+ * Only students of batches that list the faculty member in facultyIds are
+ * shown, since the rules refuse reviews for other batches.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Smartphone, CheckCircle, XCircle, RefreshCw } from 'lucide-react';
+import Button from '../common/Button';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotify } from '../../contexts/NotificationContext';
+import { getPendingDeviceRequests, reviewDeviceRequest } from '../../services/firebase';
+
+const DeviceApprovals = () => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [reviewingId, setReviewingId] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const { user } = useAuth();
+  const notify = useNotify();
+
+  useEffect(() => {
+    const loadRequests = async () => {
+      setLoading(true);
+      setLoadError('');
+      const result = await getPendingDeviceRequests(user.uid);
+      if (result.success) {
+        setRequests(result.data);
+      } else {
+        setLoadError('Failed to load device requests');
+      }
+      setLoading(false);
+    };
+    loadRequests();
+  }, [refreshKey, user.uid]);
+
+  const handleReview = async (request, approve) => {
+    setReviewingId(request.id);
+    const result = await reviewDeviceRequest(request.studentId, request.deviceId, approve);
+    if (result.success) {
+      notify.success(`Device ${approve ? 'approved' : 'rejected'} for ${request.studentName || 'student'}`);
+      setRequests(prev => prev.filter(r => r.id !== request.id || r.studentId !== request.studentId));
+    } else {
+      notify.error(result.error || 'Failed to update device');
+    }
+    setReviewingId(null);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <Smartphone className="w-6 h-6 text-green-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Device Approvals</h3>
+        </div>
+        <Button
+          onClick={() => setRefreshKey(key => key + 1)}
+          variant="ghost"
+          size="sm"
+          icon={<RefreshCw className="w-4 h-4" />}
+        >
+          Refresh
+        </Button>
+      </div>
+
+      {loadError && (
+        <div className="p-3 mb-4 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {loadError}
+        </div>
+      )}
+
+      {loading ? (
+        <LoadingSpinner text="Loading device requests..." />
+      ) : requests.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <Smartphone className="w-12 h-12 mx-auto mb-2 opacity-50" />
+          <p>No devices awaiting approval in your batches</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {requests.map(request => (
+            <div
+              key={`${request.studentId}_${request.id}`}
+              className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 border border-gray-200 rounded-lg"
+            >
+              <div>
+                <p className="font-medium text-gray-900">
+                  {request.studentName || request.studentId}
+                  {request.regNumber && <span className="text-sm text-gray-500"> • {request.regNumber}</span>}
+                </p>
+                <p className="text-xs text-gray-600 break-all">{request.userAgent}</p>
+                <p className="text-xs text-gray-500">
+                  Requested {request.registeredAt?.toDate?.().toLocaleString() || ''}
+                </p>
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                <Button
+                  onClick={() => handleReview(request, true)}
+                  variant="success"
+                  size="sm"
+                  disabled={reviewingId === request.id}
+                  icon={<CheckCircle className="w-4 h-4" />}
+                >
+                  Approve
+                </Button>
+                <Button
+                  onClick={() => handleReview(request, false)}
+                  variant="danger"
+                  size="sm"
+                  disabled={reviewingId === request.id}
+                  icon={<XCircle className="w-4 h-4" />}
+                >
+                  Reject
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeviceApprovals;
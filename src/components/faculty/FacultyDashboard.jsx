@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { LogOut, QrCode, List, BarChart3, Camera, Users, UserCheck } from 'lucide-react';
+import { LogOut, QrCode, List, BarChart3, Camera, Users, UserCheck, CalendarDays } from 'lucide-react';
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
 import QRGenerator from './QRGenerator';
@@ -8,6 +8,8 @@ import PhotoVerification from './PhotoVerification';
 import AttendanceReports from './AttendanceReports';
 import SimpleQRTest from '../debug/SimpleQRTest';
 import OfflineQRGenerator from './OfflineQRGenerator';
+import DeviceApprovals from './DeviceApprovals';
+import TimetableEditor from './TimetableEditor';
 import { useAuth } from '../../contexts/AuthContext';
 
 const FacultyDashboard = () => {
@@ -33,6 +35,7 @@ const FacultyDashboard = () => {
   const menuItems = [
     { id: 'dashboard', label: 'Dashboard', icon: BarChart3 },
     { id: 'qr-generator', label: 'Generate QR', icon: QrCode },
+    { id: 'timetable', label: 'Timetable', icon: CalendarDays },
     { id: 'manual-attendance', label: 'Manual Entry', icon: List },
     { id: 'photo-verification', label: 'Photo Review', icon: Camera },
     { id: 'reports', label: 'Reports', icon: BarChart3 },
@@ -241,6 +244,13 @@ const FacultyDashboard = () => {
               </div>
             )}
 
+            {activeSection === 'timetable' && (
+              <div>
+                <h2 className="text-2xl font-bold text-gray-900 mb-6">Timetable</h2>
+                <TimetableEditor />
+              </div>
+            )}
+
             {activeSection === 'manual-attendance' && (
               <div>
                 <h2 className="text-2xl font-bold text-gray-900 mb-6">Manual Attendance Entry</h2>
@@ -265,13 +275,7 @@ const FacultyDashboard = () => {
             {activeSection === 'students' && (
               <div>
                 <h2 className="text-2xl font-bold text-gray-900 mb-6">Student Management</h2>
-                <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-8">
-                  <div className="text-center text-gray-500">
-                    <Users className="w-16 h-16 mx-auto mb-4 opacity-50" />
-                    <h3 className="text-lg font-medium mb-2">Student Management</h3>
-                    <p>Student management features will be available soon</p>
-                  </div>
-                </div>
+                <DeviceApprovals />
               </div>
             )}
           </div>
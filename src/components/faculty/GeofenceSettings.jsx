@@ -0,0 +1,95 @@
+/**
+ * Geofence Settings Component
+ *
+ * Lets faculty attach the classroom location and an allowed radius to an
+ * attendance session. Students scanning the QR are checked against this
+ * fence; whether failures are rejected or only flagged is controlled by
+ * system_config.requireLocationVerification.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import { MapPin, Crosshair } from 'lucide-react';
+import Button from '../common/Button';
+import { getCurrentPosition } from '../../utils/helpers';
+import { GEOFENCE_CONFIG } from '../../utils/constants';
+
+/**
+ * GeofenceSettings Component
+ *
+ * @param {Object} props - Component props
+ * @param {object} props.value - Geofence form value { enabled, radiusMeters, location }
+ * @param {Function} props.onChange - Called with the updated value
+ * @returns {JSX.Element} Geofence toggle, radius input and location capture
+ */
+const GeofenceSettings = ({ value, onChange }) => {
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState('');
+
+  const captureLocation = async () => {
+    try {
+      setLocating(true);
+      setError('');
+      const location = await getCurrentPosition({ timeout: GEOFENCE_CONFIG.POSITION_TIMEOUT_MS });
+      onChange({ ...value, location });
+    } catch (err) {
+      setError(`Could not get classroom location: ${err.message}`);
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  return (
+    <div className="p-4 border-2 border-gray-200 rounded-xl bg-gray-50/50 space-y-3">
+      <label className="flex items-center gap-3 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={value.enabled}
+          onChange={(e) => onChange({ ...value, enabled: e.target.checked })}
+          className="w-4 h-4 text-blue-600 rounded"
+        />
+        <MapPin className="w-4 h-4 text-blue-600" />
+        <span className="text-sm font-semibold text-gray-800">Restrict to classroom location</span>
+      </label>
+
+      {value.enabled && (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <Button
+            onClick={captureLocation}
+            loading={locating}
+            variant="outline"
+            size="sm"
+            icon={<Crosshair className="w-4 h-4" />}
+          >
+            {value.location ? 'Update Location' : 'Use My Location'}
+          </Button>
+          <div className="flex items-center gap-2">
+            <label htmlFor="geofence-radius" className="text-sm text-gray-700">Radius</label>
+            <input
+              id="geofence-radius"
+              type="number"
+              min="10"
+              step="10"
+              value={value.radiusMeters}
+              onChange={(e) => onChange({ ...value, radiusMeters: e.target.value })}
+              className="w-24 px-3 py-1.5 border-2 border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <span className="text-sm text-gray-600">m</span>
+          </div>
+        </div>
+      )}
+
+      {value.enabled && value.location && (
+        <p className="text-xs text-gray-600">
+          📍 {value.location.latitude.toFixed(5)}, {value.location.longitude.toFixed(5)} (±{Math.round(value.location.accuracy)} m)
+        </p>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default GeofenceSettings;
@@ -0,0 +1,234 @@
+/**
+ * Live Roster Component for Faculty
+ *
+ * Lists the students marked in a session as their records arrive, with a
+ * photo thumbnail, reg number and mark time, and counts against the
+ * expected batch size. Marks from a device that already marked for another
+ * student are flagged, and such a mark can be ejected from the list: the
+ * record becomes absent and the student cannot scan again. In multi-period
+ * sessions each student shows the periods attended, and sessions checked by
+ * confirmation let the faculty confirm students for the current period.
+ * Offline scans awaiting approval in photo verification are counted apart.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Users, UserX, UserCheck, ShieldAlert, Clock } from 'lucide-react';
+import Button from '../common/Button';
+import { useAuth } from '../../contexts/AuthContext';
+import { subscribeToSessionAttendance, ejectAttendanceMark, confirmPeriodAttendance } from '../../services/firebase';
+import { ATTENDANCE_STATUS, PERIOD_CHECK_MODES } from '../../utils/constants';
+
+/**
+ * Format a Firestore timestamp or Date as a time of day
+ * @param {object|Date} value - Timestamp value
+ * @returns {string} Localized time
+ */
+const formatMarkTime = (value) => {
+  const date = value?.toDate ? value.toDate() : value;
+  return date instanceof Date ? date.toLocaleTimeString() : '';
+};
+
+/**
+ * Whether a device had already marked for another student in the session
+ * @param {object} record - Attendance record
+ * @param {Array} records - Every record of the session
+ * @returns {boolean} True if the mark came from a shared device
+ */
+const isSharedDeviceMark = (record, records) =>
+  Boolean(record.deviceId) && records.some(other =>
+    other.deviceId === record.deviceId &&
+    other.studentId !== record.studentId &&
+    (other.timestamp?.toMillis?.() || 0) < (record.timestamp?.toMillis?.() || 0)
+  );
+
+/**
+ * LiveRoster Component
+ *
+ * @param {object} props - Component props
+ * @param {string} props.sessionId - Attendance session ID
+ * @param {number} props.expectedCount - Students in the batch, 0 if unknown
+ * @param {number} props.periods - Periods the session runs for
+ * @param {number} props.currentPeriod - Period in progress
+ * @param {string} props.periodCheckMode - One of PERIOD_CHECK_MODES
+ * @returns {JSX.Element} Live list of marked students
+ */
+const LiveRoster = ({
+  sessionId,
+  expectedCount = 0,
+  periods = 1,
+  currentPeriod = 1,
+  periodCheckMode = PERIOD_CHECK_MODES.RESCAN
+}) => {
+  const [records, setRecords] = useState([]);
+  const [error, setError] = useState('');
+  const [ejectingId, setEjectingId] = useState(null);
+  const [confirmingIds, setConfirmingIds] = useState([]);
+  const { user, userProfile } = useAuth();
+
+  useEffect(() => {
+    if (!sessionId) return;
+    setRecords([]);
+    setError('');
+    return subscribeToSessionAttendance(sessionId, setRecords, setError);
+  }, [sessionId]);
+
+  const handleEject = async (record) => {
+    const name = record.studentName || record.studentId;
+    if (!window.confirm(`Eject ${name}'s mark? They will be recorded absent for this session.`)) {
+      return;
+    }
+
+    setEjectingId(record.studentId);
+    const result = await ejectAttendanceMark(sessionId, record.studentId, {
+      uid: user.uid,
+      name: userProfile?.fullName || user.displayName
+    });
+    if (!result.success) setError(result.error);
+    setEjectingId(null);
+  };
+
+  const handleConfirm = async (studentIds) => {
+    setConfirmingIds(studentIds);
+    const result = await confirmPeriodAttendance(sessionId, studentIds, currentPeriod);
+    if (!result.success) setError(result.error);
+    setConfirmingIds([]);
+  };
+
+  const marked = records.filter(record =>
+    !record.ejected &&
+    record.status !== ATTENDANCE_STATUS.ABSENT &&
+    record.status !== ATTENDANCE_STATUS.PENDING_REVIEW
+  );
+  const awaitingReview = records.filter(record =>
+    !record.ejected && record.status === ATTENDANCE_STATUS.PENDING_REVIEW
+  );
+  const ejected = records.filter(record => record.ejected);
+  const lateCount = marked.filter(record => record.status === ATTENDANCE_STATUS.LATE).length;
+
+  const multiPeriod = periods > 1;
+  const attendedPeriods = (record) => record.periodsAttended || [1];
+  const awaitingConfirmation = multiPeriod && periodCheckMode === PERIOD_CHECK_MODES.CONFIRM
+    ? marked.filter(record => !attendedPeriods(record).includes(currentPeriod))
+    : [];
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 text-left">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <Users className="w-5 h-5 text-blue-600" />
+          <h4 className="font-semibold text-gray-900">Live Roster</h4>
+        </div>
+        <div className="flex items-center gap-3 text-sm">
+          <span className="font-bold text-green-600">
+            {marked.length}{expectedCount > 0 && ` / ${expectedCount}`}
+          </span>
+          {lateCount > 0 && <span className="text-yellow-600">{lateCount} late</span>}
+          {awaitingReview.length > 0 && <span className="text-blue-600">{awaitingReview.length} to review</span>}
+          {ejected.length > 0 && <span className="text-red-600">{ejected.length} ejected</span>}
+        </div>
+      </div>
+
+      {awaitingConfirmation.length > 0 && (
+        <div className="flex items-center justify-between gap-3 px-4 py-2 bg-blue-50 border-b border-blue-100 text-sm">
+          <span className="text-blue-800">
+            {awaitingConfirmation.length} not yet confirmed for period {currentPeriod}
+          </span>
+          <Button
+            onClick={() => handleConfirm(awaitingConfirmation.map(record => record.studentId))}
+            loading={confirmingIds.length > 1}
+            variant="outline"
+            size="sm"
+            icon={<UserCheck className="w-4 h-4" />}
+          >
+            Confirm All
+          </Button>
+        </div>
+      )}
+
+      {expectedCount > 0 && (
+        <div className="w-full bg-gray-200 h-1">
+          <div
+            className="bg-green-500 h-1 transition-all duration-500"
+            style={{ width: `${Math.min(100, (marked.length / expectedCount) * 100)}%` }}
+          ></div>
+        </div>
+      )}
+
+      {error && <p className="px-4 py-2 text-sm text-red-600">{error}</p>}
+
+      <div className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+        {records.length === 0 ? (
+          <p className="px-4 py-6 text-sm text-center text-gray-500">Waiting for students to scan…</p>
+        ) : (
+          records.map(record => (
+            <div
+              key={record.id}
+              className={`flex items-center gap-3 px-4 py-2 ${record.ejected ? 'opacity-50' : ''}`}
+            >
+              <div className="w-10 h-10 rounded-full overflow-hidden bg-gray-200 flex-shrink-0">
+                {record.photoUrl && (
+                  <img
+                    src={record.photoThumbnailUrl || record.photoUrl}
+                    alt={record.studentName}
+                    className="w-full h-full object-cover"
+                  />
+                )}
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className={`text-sm font-medium text-gray-900 truncate ${record.ejected ? 'line-through' : ''}`}>
+                  {record.studentName || record.studentId}
+                </p>
+                <p className="flex items-center gap-2 text-xs text-gray-500">
+                  {record.regNumber && <span>{record.regNumber}</span>}
+                  <span className="flex items-center gap-1">
+                    <Clock className="w-3 h-3" /> {formatMarkTime(record.timestamp)}
+                  </span>
+                  {record.status === ATTENDANCE_STATUS.LATE && <span className="text-yellow-600">Late</span>}
+                  {multiPeriod && !record.ejected && (
+                    <span className="text-blue-600">
+                      {attendedPeriods(record).slice().sort((a, b) => a - b).map(period => `P${period}`).join(', ')}
+                    </span>
+                  )}
+                  {isSharedDeviceMark(record, records) && (
+                    <span className="flex items-center gap-1 text-red-600">
+                      <ShieldAlert className="w-3 h-3" /> Shared device
+                    </span>
+                  )}
+                </p>
+              </div>
+              {awaitingConfirmation.includes(record) && (
+                <Button
+                  onClick={() => handleConfirm([record.studentId])}
+                  loading={confirmingIds.length === 1 && confirmingIds[0] === record.studentId}
+                  variant="ghost"
+                  size="sm"
+                  icon={<UserCheck className="w-4 h-4" />}
+                >
+                  P{currentPeriod}
+                </Button>
+              )}
+              {record.ejected ? (
+                <span className="text-xs font-medium text-red-600">Ejected</span>
+              ) : record.markedBy === 'qr' && (
+                <Button
+                  onClick={() => handleEject(record)}
+                  loading={ejectingId === record.studentId}
+                  variant="outline"
+                  size="sm"
+                  icon={<UserX className="w-4 h-4" />}
+                >
+                  Eject
+                </Button>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LiveRoster;
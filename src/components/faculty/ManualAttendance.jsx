@@ -14,8 +14,9 @@ import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNotify } from '../../contexts/NotificationContext';
-import { collection, query, where, getDocs, addDoc } from 'firebase/firestore';
-import { db, academicDataService } from '../../services/firebase';
+import { collection, query, where, getDocs, addDoc, doc, setDoc } from 'firebase/firestore';
+import { db, academicDataService, finalizeSession, getAttendanceDocId } from '../../services/firebase';
+import { SESSION_STATES } from '../../utils/constants';
 
 const ManualAttendance = () => {
   const [school, setSchool] = useState('');
@@ -149,6 +150,8 @@ const ManualAttendance = () => {
         date,
         periods: parseInt(periods),
         type: 'manual',
+        state: SESSION_STATES.CLOSED,
+        isActive: false,
         createdAt: new Date(),
         totalStudents: students.length,
         presentCount: Object.values(attendance).filter(s => s === 'present').length,
@@ -161,7 +164,7 @@ const ManualAttendance = () => {
       // Submit individual attendance records
       const attendancePromises = students.map(student => {
         const status = attendance[student.id] || 'absent';
-        return addDoc(collection(db, 'attendance'), {
+        return setDoc(doc(db, 'attendance', getAttendanceDocId(sessionRef.id, student.id)), {
           sessionId: sessionRef.id,
           studentId: student.id,
           studentName: student.fullName,
@@ -179,6 +182,12 @@ const ManualAttendance = () => {
       });
       
       await Promise.all(attendancePromises);
+
+      // Lock the session; any student missing from the list is recorded absent
+      const finalizeResult = await finalizeSession(sessionRef.id);
+      if (!finalizeResult.success) {
+        throw new Error(finalizeResult.error);
+      }
       
       notify.success(`Attendance marked successfully for ${students.length} students`);
       
@@ -1,25 +1,56 @@
 /**
  * Offline QR Generator Component
  * 
- * This component generates QR codes without Firebase dependency for immediate testing.
- * Once Firebase permissions are fixed, you can switch back to the main QRGenerator.
+ * Generates attendance QR codes that keep working when the faculty device
+ * loses its connection. The session id and signing secret are created on
+ * the device; the session is written to Firestore straight away when
+ * online, or kept locally and created under the same id once connectivity
+ * returns (see services/offlineSessions.js).
+ *
+ * Closing the generator, or starting a new QR, closes the session; Finalize
+ * records absentees and makes the session read-only. Present opens the
+ * projector view (pages/PresenterView.jsx) for a session stored online.
+ *
+ * QR codes carry signed rotating tokens from services/qrServices.js.
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import QRCode from 'qrcode';
-import { QrCode, RefreshCw, Timer, CheckCircle } from 'lucide-react';
+import { QrCode, RefreshCw, Timer, CheckCircle, CloudOff, ShieldAlert, CalendarClock, SkipForward, ClipboardCheck, MonitorPlay } from 'lucide-react';
 import Button from '../common/Button';
 import Modal from '../common/Modal';
 import { useAuth } from '../../contexts/AuthContext';
+import { useNotify } from '../../contexts/NotificationContext';
+import { getServerNow, newAttendanceSessionId, createAttendanceSession, advanceSessionPeriod, closeSession, finalizeSession, subscribeToRelayAttempts, academicDataService, timetableService } from '../../services/firebase';
+import { getOfflineSessions, saveOfflineSession, startOfflineSessionSync } from '../../services/offlineSessions';
+import {
+  generateSessionSecret,
+  createQRToken,
+  encodeQRPayload,
+  getWindowIndex,
+  getWindowTimeLeft
+} from '../../services/qrServices';
+import { QR_TOKEN_CONFIG, QR_PAYLOAD_CONFIG, GEOFENCE_CONFIG, ACADEMIC_CATALOG, PERIOD_CHECK_MODES, PERIOD_ATTENDANCE } from '../../utils/constants';
+import { buildSessionGeofence, findCurrentSlot, getSlotStart, toTimeOfDay, formatSlotLabel, isOnline } from '../../utils/helpers';
+import GeofenceSettings from './GeofenceSettings';
+import LiveRoster from './LiveRoster';
+import BatchPicker from './BatchPicker';
 
 const OfflineQRGenerator = () => {
   // Modal and form state
   const [isOpen, setIsOpen] = useState(false);
   const [formData, setFormData] = useState({
     school: '',
-    batch: '',
+    batches: [],
     subject: '',
-    periods: ''
+    periods: '',
+    startTime: '',
+    periodCheckMode: PERIOD_ATTENDANCE.DEFAULT_CHECK_MODE
+  });
+  const [geofenceSettings, setGeofenceSettings] = useState({
+    enabled: false,
+    radiusMeters: GEOFENCE_CONFIG.DEFAULT_RADIUS_METERS,
+    location: null
   });
   
   // QR code state
@@ -32,42 +63,26 @@ const OfflineQRGenerator = () => {
   const [success, setSuccess] = useState('');
   
   // Dynamic QR rotation state
-  const [qrRotationTimer, setQrRotationTimer] = useState(5);
+  const [qrRotationTimer, setQrRotationTimer] = useState(QR_TOKEN_CONFIG.STEP_SECONDS);
   const [totalRotations, setTotalRotations] = useState(0);
   const [baseSessionData, setBaseSessionData] = useState(null);
-
-  // Hardcoded academic data
-  const HARDCODED_SCHOOLS = [
-    { id: 'sot', name: 'School of Technology', shortName: 'SOT' },
-    { id: 'som', name: 'School of Management', shortName: 'SOM' }
-  ];
-  
-  const HARDCODED_BATCHES = {
-    'sot': [
-      { id: 'sot24b1', name: 'SOT24B1' },
-      { id: 'sot24b2', name: 'SOT24B2' },
-      { id: 'sot23b1', name: 'SOT23B1' }
-    ],
-    'som': [
-      { id: 'som24b1', name: 'SOM24B1' },
-      { id: 'som23b1', name: 'SOM23B1' }
-    ]
-  };
-  
-  const HARDCODED_SUBJECTS = {
-    'sot': [
-      { id: 'java', name: 'Java', code: 'JAVA' },
-      { id: 'python', name: 'Python', code: 'PYTHON' },
-      { id: 'dbms', name: 'DBMS', code: 'DBMS' },
-      { id: 'sql', name: 'SQL', code: 'SQL' }
-    ],
-    'som': [
-      { id: 'java', name: 'Java', code: 'JAVA' },
-      { id: 'python', name: 'Python', code: 'PYTHON' },
-      { id: 'dbms', name: 'DBMS', code: 'DBMS' },
-      { id: 'sql', name: 'SQL', code: 'SQL' }
-    ]
-  };
+  const [sessionSecret, setSessionSecret] = useState(null);
+  const [pendingSessions, setPendingSessions] = useState(() => getOfflineSessions().length);
+  const [relayAttempts, setRelayAttempts] = useState([]);
+  const [studentsCount, setStudentsCount] = useState(0);
+  const [currentSlot, setCurrentSlot] = useState(null);
+  const [activeSlot, setActiveSlot] = useState(null);
+  const [currentPeriod, setCurrentPeriod] = useState(1);
+  const [advancingPeriod, setAdvancingPeriod] = useState(false);
+  const [finalizing, setFinalizing] = useState(false);
+  const [sessionFinalized, setSessionFinalized] = useState(false);
+
+  // Academic data, shared with the timetable editor
+  const {
+    SCHOOLS: HARDCODED_SCHOOLS,
+    BATCHES: HARDCODED_BATCHES,
+    SUBJECTS: HARDCODED_SUBJECTS
+  } = ACADEMIC_CATALOG;
 
   // Component state
   const [schools] = useState(HARDCODED_SCHOOLS);
@@ -76,7 +91,65 @@ const OfflineQRGenerator = () => {
 
   const timerRef = useRef(null);
   const rotationTimerRef = useRef(null);
+  const startWindowRef = useRef(null);
+  const lastWindowRef = useRef(null);
   const { user, userProfile } = useAuth();
+  const { success: notifySuccess, error: notifyError } = useNotify();
+
+  // Create sessions started offline once the device is back online
+  useEffect(() => {
+    return startOfflineSessionSync((results) => {
+      const synced = results.filter(result => result.success).length;
+      if (synced) notifySuccess(`${synced} offline session${synced > 1 ? 's' : ''} synced`);
+      if (synced < results.length) notifyError('Some offline sessions could not be synced yet');
+      setPendingSessions(getOfflineSessions().length);
+    });
+  }, [notifySuccess, notifyError]);
+
+  // Relay attempts blocked for the running session; the listener picks
+  // them up once an offline-started session has synced
+  useEffect(() => {
+    if (!isActive || !baseSessionData?.sessionId || !user?.uid) {
+      setRelayAttempts([]);
+      return;
+    }
+    return subscribeToRelayAttempts(baseSessionData.sessionId, user.uid, setRelayAttempts);
+  }, [isActive, baseSessionData?.sessionId, user?.uid]);
+
+  // Timetable slot running now, refreshed every minute
+  useEffect(() => {
+    if (!user?.uid) return;
+
+    let slots = [];
+    const refresh = () => setCurrentSlot(findCurrentSlot(slots, getServerNow()));
+    timetableService.getFacultyTimetable(user.uid).then((result) => {
+      if (!result.success) return;
+      slots = result.data;
+      refresh();
+    });
+    const interval = setInterval(refresh, 60000);
+    return () => clearInterval(interval);
+  }, [user?.uid]);
+
+  // Expected size of the selected batches for the live roster
+  const batchKey = formData.batches.join(',');
+  useEffect(() => {
+    if (!formData.school || !batchKey) {
+      setStudentsCount(0);
+      return;
+    }
+
+    let cancelled = false;
+    Promise.all(
+      batchKey.split(',').map(batchId => academicDataService.getStudentsByBatch(formData.school, batchId))
+    ).then((results) => {
+      if (cancelled) return;
+      setStudentsCount(results.reduce((total, result) => total + (result.success ? result.data.length : 0), 0));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.school, batchKey]);
 
   // Load batches and subjects when school changes
   useEffect(() => {
@@ -89,62 +162,34 @@ const OfflineQRGenerator = () => {
     }
   }, [formData.school]);
 
-  // Generate QR code with maximum entropy and rotation-specific data
-  const generateQRWithEntropy = useCallback(async (baseData, rotationIndex = 0) => {
-    const currentTime = new Date();
-    const microseconds = performance.now();
-    const nanoTime = performance.timeOrigin + performance.now();
-    const randomSalt = Math.random().toString(36).substr(2, 20);
-    const rotationSalt = Math.random().toString(36).substr(2, 16);
-    
-    // Create ultra-dynamic QR data with rotation-specific entropy
+  // Generate the QR code for the current rotation window
+  const generateSignedQR = useCallback(async (baseData, secret) => {
+    const token = await createQRToken(baseData.sessionId, secret, { now: getServerNow() });
+
     const qrDataObj = {
       ...baseData,
-      // Rotation-specific data
-      rotationIndex: rotationIndex,
-      rotationId: `rot_${rotationIndex}_${Date.now()}_${Math.random().toString(36).substr(2, 12)}`,
-      rotationSalt: rotationSalt,
-      
-      // High-entropy timing data
-      timestamp: currentTime.toISOString(),
-      microseconds: microseconds,
-      nanoTime: nanoTime,
-      
-      // Multiple sources of randomness
-      randomSalt: randomSalt,
-      entropyMix: btoa(`${microseconds}_${Math.random()}_${Date.now()}_${rotationIndex}`).substr(0, 16),
-      
-      // Time-based entropy
-      millisecond: currentTime.getMilliseconds(),
-      second: currentTime.getSeconds(),
-      
-      // Additional uniqueness factors
-      browserEntropy: navigator.userAgent.length + window.screen.width + window.screen.height,
-      memoryUsage: performance.memory ? performance.memory.usedJSHeapSize : Math.random() * 10000,
-      
-      // Checksum with rotation data
-      checksum: btoa(`${baseData.sessionId}_${rotationIndex}_${microseconds}_${randomSalt}`).substr(0, 12)
+      rotationIndex: token.window - (startWindowRef.current ?? token.window),
+      window: token.window,
+      signature: token.signature
     };
 
-    console.log(`🔄 Generating QR rotation ${rotationIndex} with ultra-high entropy`);
+    console.log(`🔄 Generating signed QR for window ${token.window}`);
     
-    // Generate QR code with enhanced quality settings
-    const qrString = JSON.stringify(qrDataObj);
-    const qrCodeDataURL = await QRCode.toDataURL(qrString, {
+    const qrCodeDataURL = await QRCode.toDataURL(encodeQRPayload(token), {
       width: 400,
       margin: 3,
       color: {
         dark: '#1a202c',
         light: '#ffffff'
       },
-      errorCorrectionLevel: 'H'
+      errorCorrectionLevel: QR_PAYLOAD_CONFIG.ERROR_CORRECTION
     });
 
     return {
       qrDataObj,
       qrCodeDataURL
     };
-  }, []); // useCallback with empty dependency array since this function doesn't depend on any state
+  }, []);
 
   // Main session timer effect
   useEffect(() => {
@@ -168,46 +213,32 @@ const OfflineQRGenerator = () => {
     };
   }, [isActive, timeLeft]);
 
-  // Combined QR Code rotation effect (every 5 seconds with countdown)
+  // QR rotation effect - re-sign the code whenever a new window starts
   useEffect(() => {
-    if (isActive && baseSessionData) {
+    if (isActive && baseSessionData && sessionSecret) {
       console.log('🔄 Starting QR rotation timer');
-      
-      rotationTimerRef.current = setInterval(async () => {
-        if (isActive) {
-          // Countdown logic
-          setQrRotationTimer(prev => {
-            console.log('🕔 QR timer countdown:', prev);
-            
-            if (prev <= 1) {
-              // Time to rotate!
-              console.log('🔄 Time to rotate QR code!');
-              
-              setTotalRotations(current => {
-                const newRotationCount = current + 1;
-                console.log('🔢 Rotation count:', newRotationCount);
-                
-                // Generate new QR code with rotation
-                generateQRWithEntropy(baseSessionData, newRotationCount)
-                  .then(({ qrDataObj, qrCodeDataURL }) => {
-                    setQrData(qrDataObj);
-                    setQrCode(qrCodeDataURL);
-                    console.log(`✅ QR rotated to version ${newRotationCount}`);
-                  })
-                  .catch(error => {
-                    console.error('❌ Error rotating QR code:', error);
-                  });
-                  
-                return newRotationCount;
-              });
-              
-              return 5; // Reset to 5 seconds
-            } else {
-              return prev - 1; // Countdown
-            }
+
+      const rotate = () => {
+        const now = getServerNow();
+        setQrRotationTimer(getWindowTimeLeft(now));
+
+        const windowIndex = getWindowIndex(now);
+        if (windowIndex === lastWindowRef.current) return;
+        lastWindowRef.current = windowIndex;
+        setTotalRotations(windowIndex - startWindowRef.current);
+
+        generateSignedQR(baseSessionData, sessionSecret)
+          .then(({ qrDataObj, qrCodeDataURL }) => {
+            setQrData(qrDataObj);
+            setQrCode(qrCodeDataURL);
+            console.log(`✅ QR rotated to window ${windowIndex}`);
+          })
+          .catch(error => {
+            console.error('❌ Error rotating QR code:', error);
           });
-        }
-      }, 1000);
+      };
+
+      rotationTimerRef.current = setInterval(rotate, 1000);
 
       return () => {
         console.log('🗑️ Cleaning up QR rotation timer');
@@ -216,7 +247,7 @@ const OfflineQRGenerator = () => {
         }
       };
     }
-  }, [isActive, baseSessionData, generateQRWithEntropy]);
+  }, [isActive, baseSessionData, sessionSecret, generateSignedQR]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -228,7 +259,7 @@ const OfflineQRGenerator = () => {
     if (name === 'school') {
       setFormData(prev => ({
         ...prev,
-        batch: '',
+        batches: [],
         subject: ''
       }));
     }
@@ -236,41 +267,37 @@ const OfflineQRGenerator = () => {
     setError('');
   };
 
-
-  // Function to regenerate QR with rotation (called by timer)
-  const regenerateQRWithRotation = async () => {
-    console.log('🔄 regenerateQRWithRotation called', { baseSessionData: !!baseSessionData, totalRotations });
-    
-    if (!baseSessionData) {
-      console.error('❌ No baseSessionData available for rotation');
-      return;
-    }
-    
-    try {
-      const { qrDataObj, qrCodeDataURL } = await generateQRWithEntropy(baseSessionData, totalRotations);
-      setQrData(qrDataObj);
-      setQrCode(qrCodeDataURL);
-      console.log(`✅ QR rotated to version ${totalRotations}`);
-    } catch (error) {
-      console.error('❌ Error rotating QR code:', error);
-    }
+  const handleBatchesChange = (selected) => {
+    setFormData(prev => ({ ...prev, batches: selected }));
+    setError('');
   };
 
-  const generateQRCode = async () => {
+
+  /**
+   * Start a session from the form, or from a timetable slot
+   * @param {object} values - { school, batches, subject, periods, startTime, periodCheckMode }
+   * @param {object} slot - Timetable slot the session belongs to (optional)
+   */
+  const generateQRCode = async (values = formData, slot = activeSlot) => {
     console.log('🚀 Starting OFFLINE QR generation...');
 
     // Validation
-    if (!formData.school || !formData.batch || !formData.subject || !formData.periods) {
+    if (!values.school || !values.batches.length || !values.subject || !values.periods) {
       const missingFields = [];
-      if (!formData.school) missingFields.push('school');
-      if (!formData.batch) missingFields.push('batch');
-      if (!formData.subject) missingFields.push('subject');
-      if (!formData.periods) missingFields.push('periods');
+      if (!values.school) missingFields.push('school');
+      if (!values.batches.length) missingFields.push('batch');
+      if (!values.subject) missingFields.push('subject');
+      if (!values.periods) missingFields.push('periods');
       
       setError(`Please fill in all required fields: ${missingFields.join(', ')}`);
       return;
     }
 
+    if (geofenceSettings.enabled && !geofenceSettings.location) {
+      setError('Please capture the classroom location or turn off the location restriction');
+      return;
+    }
+
     if (!user || !user.uid) {
       setError('User not authenticated. Please login again.');
       return;
@@ -282,55 +309,99 @@ const OfflineQRGenerator = () => {
       setSuccess('');
 
       // Get names from hardcoded data
-      const schoolName = HARDCODED_SCHOOLS.find(s => s.id === formData.school)?.name || formData.school;
-      const batchName = HARDCODED_BATCHES[formData.school]?.find(b => b.id === formData.batch)?.name || formData.batch;
-      const subjectName = HARDCODED_SUBJECTS[formData.school]?.find(s => s.id === formData.subject)?.name || formData.subject;
-
-      // Generate unique session ID with maximum entropy
-      const timestamp = Date.now();
-      const randomPart = Math.random().toString(36).substr(2, 12);
-      const uniqueId = Math.random().toString(36).substr(2, 8);
-      const sessionId = `session_${timestamp}_${randomPart}_${uniqueId}`;
-      
-      // Create base session data (stays constant for rotations)
-      const baseSessionData = {
-        sessionId: sessionId,
+      const schoolName = HARDCODED_SCHOOLS.find(s => s.id === values.school)?.name || values.school;
+      const batchNames = values.batches.map(batchId =>
+        HARDCODED_BATCHES[values.school]?.find(b => b.id === batchId)?.name || batchId
+      );
+      const subjectName = HARDCODED_SUBJECTS[values.school]?.find(s => s.id === values.subject)?.name || values.subject;
+
+      // The id and secret are made on the device so the session can start
+      // before it exists in Firestore
+      const sessionId = newAttendanceSessionId();
+      const secret = generateSessionSecret();
+      const createdAtMs = getServerNow();
+      const expiresAtMs = createdAtMs + 30000;
+      const startTime = values.startTime || toTimeOfDay(new Date(createdAtMs));
+
+      const sessionData = {
         facultyId: user.uid,
         facultyName: userProfile?.fullName || user.displayName || 'Faculty',
         facultyEmail: user.email,
-        school: formData.school,
+        school: values.school,
         schoolName: schoolName,
-        batch: formData.batch,
-        batchName: batchName,
-        subject: formData.subject,
+        // Combined sessions cover every listed batch; batch stays set for
+        // readers that expect a single one
+        batch: values.batches[0],
+        batchName: batchNames.join(', '),
+        batches: values.batches,
+        batchNames,
+        subject: values.subject,
         subjectName: subjectName,
-        periods: parseInt(formData.periods),
-        generatedAt: timestamp,
-        expiresAt: new Date(Date.now() + 30000).toISOString(),
+        periods: parseInt(values.periods),
+        periodCheckMode: values.periodCheckMode || PERIOD_ATTENDANCE.DEFAULT_CHECK_MODE,
+        geofence: buildSessionGeofence(geofenceSettings),
         mode: 'offline_rotating',
+        rotationInterval: QR_TOKEN_CONFIG.STEP_SECONDS,
+        // Lateness is judged from the class start time: the timetable
+        // slot's, or the one entered for a manual session
+        scheduledStart: getSlotStart(slot || { startTime }, new Date(createdAtMs)),
+        // Sessions started from the timetable link back to their slot
+        ...(slot && {
+          timetableSlotId: slot.id,
+          room: slot.room || null
+        })
+      };
+
+      let storedOffline = !isOnline();
+      if (!storedOffline) {
+        const createResult = await createAttendanceSession(
+          { ...sessionData, createdAt: new Date(createdAtMs), expiresAt: new Date(expiresAtMs) },
+          { sessionId, secret }
+        );
+        storedOffline = !createResult.success;
+      }
+      if (storedOffline) {
+        saveOfflineSession({ sessionId, secret, sessionData, createdAtMs, expiresAtMs });
+        setPendingSessions(getOfflineSessions().length);
+      }
+      
+      // Create base session data (stays constant for rotations)
+      const baseSessionData = {
+        ...sessionData,
+        sessionId: sessionId,
+        generatedAt: createdAtMs,
+        expiresAt: new Date(expiresAtMs).toISOString(),
         version: '3.0',
         rotationEnabled: true,
-        rotationInterval: 5
+        storedOffline
       };
       
       console.log('📱 Base session data created:', baseSessionData);
       setBaseSessionData(baseSessionData);
+      setSessionSecret(secret);
 
-      // Generate first QR code with rotation index 0
-      const { qrDataObj, qrCodeDataURL } = await generateQRWithEntropy(baseSessionData, 0);
+      // Generate first QR code for the current window
+      const now = getServerNow();
+      startWindowRef.current = getWindowIndex(now);
+      lastWindowRef.current = startWindowRef.current;
+      const { qrDataObj, qrCodeDataURL } = await generateSignedQR(baseSessionData, secret);
       setQrData(qrDataObj);
       setQrCode(qrCodeDataURL);
       
       // Initialize timers and rotation state
       setTimeLeft(30);
-      setQrRotationTimer(5);
+      setCurrentPeriod(1);
+      setSessionFinalized(false);
+      setQrRotationTimer(getWindowTimeLeft(now));
       setTotalRotations(0);
       
       // Set isActive LAST to trigger the rotation effect
       console.log('🔄 Setting isActive to true - rotation should start now');
       setIsActive(true);
       
-      setSuccess('🔄 Dynamic QR Code generated! Rotates every 5 seconds to prevent screenshot sharing.');
+      setSuccess(storedOffline
+        ? '📴 You are offline. The session is saved on this device and will sync when you reconnect; student scans will be linked to it then.'
+        : `🔄 Signed QR Code generated! Rotates every ${QR_TOKEN_CONFIG.STEP_SECONDS} seconds to prevent screenshot sharing.`);
 
       console.log('✅ Offline QR generation completed!');
 
@@ -342,46 +413,132 @@ const OfflineQRGenerator = () => {
     }
   };
 
+  /**
+   * Close the session on screen so it stops taking scans. Scans queued
+   * offline still sync until it is finalized; sessions that exist only on
+   * this device close when their QR window ends.
+   */
+  const closeCurrentSession = async () => {
+    if (!baseSessionData || baseSessionData.storedOffline || sessionFinalized) return;
+    const result = await closeSession(baseSessionData.sessionId);
+    if (!result.success) {
+      console.warn('Session not closed:', result.error);
+    }
+  };
+
+  /**
+   * Finalize the session on screen: students without a mark are recorded
+   * absent and the session becomes read-only
+   */
+  const finalizeCurrentSession = async () => {
+    if (!window.confirm('Finalize this session? Students without a mark will be recorded absent and scans will no longer be accepted.')) {
+      return;
+    }
+
+    setFinalizing(true);
+    const result = await finalizeSession(baseSessionData.sessionId);
+    setFinalizing(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setError('');
+    setIsActive(false);
+    setSessionFinalized(true);
+    setSuccess(`Session finalized: ${result.presentCount} present, ${result.absentCount} absent.`);
+  };
+
   const regenerateQR = () => {
+    closeCurrentSession();
     setQrData(null);
     setQrCode('');
     setBaseSessionData(null);
+    setSessionSecret(null);
     setTimeLeft(30);
     setIsActive(false);
-    setQrRotationTimer(5);
+    setQrRotationTimer(QR_TOKEN_CONFIG.STEP_SECONDS);
     setTotalRotations(0);
     setSuccess('');
     generateQRCode();
   };
 
+  /**
+   * Start the next period of a multi-period session. In re-scan mode the
+   * QR opens again so students who marked can scan for the new period.
+   */
+  const startNextPeriod = async () => {
+    setAdvancingPeriod(true);
+    const result = await advanceSessionPeriod(baseSessionData.sessionId);
+    setAdvancingPeriod(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setError('');
+    setCurrentPeriod(result.period);
+    if (result.expiresAt) {
+      setTimeLeft(Math.round(PERIOD_ATTENDANCE.RESCAN_WINDOW_MS / 1000));
+      setIsActive(true);
+      setSuccess(`Period ${result.period} started. Students who marked earlier should scan again now.`);
+    } else {
+      setSuccess(`Period ${result.period} started. Confirm the students present from the roster.`);
+    }
+  };
+
   const openModal = () => {
+    setFormData(prev => ({ ...prev, startTime: prev.startTime || toTimeOfDay() }));
     setIsOpen(true);
     setError('');
     setSuccess('');
   };
 
+  const startCurrentSlot = () => {
+    const values = {
+      school: currentSlot.school,
+      batches: currentSlot.batches || [currentSlot.batch],
+      subject: currentSlot.subject,
+      periods: String(currentSlot.periods),
+      startTime: currentSlot.startTime,
+      periodCheckMode: formData.periodCheckMode
+    };
+    setFormData(values);
+    setActiveSlot(currentSlot);
+    openModal();
+    generateQRCode(values, currentSlot);
+  };
+
   const closeModal = () => {
+    closeCurrentSession();
     setIsOpen(false);
     setQrData(null);
     setQrCode('');
     setBaseSessionData(null);
+    setSessionSecret(null);
     setIsActive(false);
     setTimeLeft(30);
-    setQrRotationTimer(5);
+    setQrRotationTimer(QR_TOKEN_CONFIG.STEP_SECONDS);
     setTotalRotations(0);
     setSuccess('');
+    setActiveSlot(null);
+    setSessionFinalized(false);
     setFormData({
       school: '',
-      batch: '',
+      batches: [],
       subject: '',
-      periods: ''
+      periods: '',
+      startTime: '',
+      periodCheckMode: PERIOD_ATTENDANCE.DEFAULT_CHECK_MODE
     });
     // Clear both timers
     if (timerRef.current) {
       clearTimeout(timerRef.current);
     }
     if (rotationTimerRef.current) {
-      clearTimeout(rotationTimerRef.current);
+      clearInterval(rotationTimerRef.current);
     }
   };
 
@@ -402,9 +559,33 @@ const OfflineQRGenerator = () => {
               Offline QR Code Generator
             </h3>
             <p className="text-gray-600 text-sm leading-relaxed max-w-sm mx-auto">
-              🔄 Dynamic QR codes that rotate every 5 seconds to prevent screenshot sharing. Ultra-secure!
+              🔄 Signed QR codes that rotate every {QR_TOKEN_CONFIG.STEP_SECONDS} seconds to prevent screenshot sharing.
             </p>
           </div>
+          {pendingSessions > 0 && (
+            <p className="flex items-center justify-center gap-2 text-sm text-yellow-700">
+              <CloudOff className="w-4 h-4" />
+              {pendingSessions} session{pendingSessions > 1 ? 's' : ''} waiting to sync
+            </p>
+          )}
+          {currentSlot && (
+            <div className="p-4 bg-white/80 border border-green-200 rounded-xl space-y-3">
+              <div className="flex items-center justify-center gap-2 text-sm font-semibold text-green-800">
+                <CalendarClock className="w-4 h-4" />
+                Now: {currentSlot.subjectName} · {currentSlot.batchName}
+              </div>
+              <p className="text-xs text-gray-600">{formatSlotLabel(currentSlot)}</p>
+              <Button
+                onClick={startCurrentSlot}
+                loading={loading && Boolean(activeSlot)}
+                variant="success"
+                className="w-full"
+                icon={<QrCode className="w-5 h-5" />}
+              >
+                Start This Class
+              </Button>
+            </div>
+          )}
           <Button
             onClick={openModal}
             className="w-full bg-gradient-to-r from-green-600 to-emerald-700 hover:from-green-700 hover:to-emerald-800 text-white font-semibold py-3 px-6 rounded-xl shadow-lg hover:shadow-xl transition-all duration-300 transform hover:scale-[1.02]"
@@ -450,21 +631,16 @@ const OfflineQRGenerator = () => {
                 {/* Batch Selection */}
                 <div>
                   <label className="block text-sm font-semibold text-gray-800 mb-3">
-                    Batch <span className="text-red-500">*</span>
+                    Batches <span className="text-red-500">*</span>
                   </label>
-                  <select
-                    name="batch"
-                    value={formData.batch}
-                    onChange={handleInputChange}
-                    disabled={!formData.school}
-                    className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 bg-white disabled:bg-gray-100"
-                    required
-                  >
-                    <option value="">Select Batch</option>
-                    {batches.map(batch => (
-                      <option key={batch.id} value={batch.id}>{batch.name}</option>
-                    ))}
-                  </select>
+                  <BatchPicker
+                    options={batches}
+                    value={formData.batches}
+                    onChange={handleBatchesChange}
+                  />
+                  {formData.batches.length > 1 && (
+                    <p className="mt-2 text-xs text-green-700">Combined session for {formData.batches.length} batches</p>
+                  )}
                 </div>
 
                 {/* Subject Selection */}
@@ -505,8 +681,43 @@ const OfflineQRGenerator = () => {
                     <option value="4">4 Periods</option>
                   </select>
                 </div>
+
+                {/* Class Start Time */}
+                <div>
+                  <label className="block text-sm font-semibold text-gray-800 mb-3">
+                    Class Start Time
+                  </label>
+                  <input
+                    type="time"
+                    name="startTime"
+                    value={formData.startTime}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 bg-white"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Students marking after the late threshold from this time are marked late</p>
+                </div>
+
+                {/* Period Check Mode */}
+                {Number(formData.periods) > 1 && (
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-800 mb-3">
+                      Check Each Period By
+                    </label>
+                    <select
+                      name="periodCheckMode"
+                      value={formData.periodCheckMode}
+                      onChange={handleInputChange}
+                      className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 bg-white"
+                    >
+                      <option value={PERIOD_CHECK_MODES.RESCAN}>Students re-scan the QR</option>
+                      <option value={PERIOD_CHECK_MODES.CONFIRM}>Faculty confirms from the roster</option>
+                    </select>
+                  </div>
+                )}
               </div>
 
+              <GeofenceSettings value={geofenceSettings} onChange={setGeofenceSettings} />
+
               {error && (
                 <div className="p-4 bg-red-50 border border-red-200 text-red-700 rounded-xl">
                   <p className="font-medium">{error}</p>
@@ -524,7 +735,7 @@ const OfflineQRGenerator = () => {
                   Cancel
                 </Button>
                 <Button
-                  onClick={generateQRCode}
+                  onClick={() => generateQRCode()}
                   loading={loading}
                   className="bg-green-600 hover:bg-green-700 text-white"
                   icon={<QrCode className="w-5 h-5" />}
@@ -548,7 +759,7 @@ const OfflineQRGenerator = () => {
                   </div>
                   <div className="bg-white/70 rounded-lg p-2 text-center">
                     <div className="font-semibold text-green-700">👥 Batch</div>
-                    <div className="text-gray-800">{HARDCODED_BATCHES[qrData?.school]?.find(b => b.id === qrData?.batch)?.name}</div>
+                    <div className="text-gray-800">{qrData?.batchName}</div>
                   </div>
                   <div className="bg-white/70 rounded-lg p-2 text-center">
                     <div className="font-semibold text-green-700">📚 Subject</div>
@@ -556,7 +767,9 @@ const OfflineQRGenerator = () => {
                   </div>
                   <div className="bg-white/70 rounded-lg p-2 text-center">
                     <div className="font-semibold text-green-700">⏱️ Periods</div>
-                    <div className="text-gray-800">{qrData?.periods}</div>
+                    <div className="text-gray-800">
+                      {qrData?.periods > 1 ? `${currentPeriod} of ${qrData.periods}` : qrData?.periods}
+                    </div>
                   </div>
                 </div>
                 <div className="mt-3 text-center">
@@ -613,29 +826,49 @@ const OfflineQRGenerator = () => {
                     className={`h-2 rounded-full transition-all duration-1000 ${
                       qrRotationTimer <= 2 ? 'bg-red-500' : 'bg-purple-500'
                     }`}
-                    style={{ width: `${(qrRotationTimer / 5) * 100}%` }}
+                    style={{ width: `${(qrRotationTimer / QR_TOKEN_CONFIG.STEP_SECONDS) * 100}%` }}
                   ></div>
                 </div>
                 
                 <div className="text-xs text-purple-600 text-center space-y-1">
-                  <div>🆔 Rotation #{qrData?.rotationIndex || 0} | Checksum: {qrData?.checksum}</div>
+                  <div>🆔 Rotation #{qrData?.rotationIndex || 0} | Signature: {qrData?.signature?.substr(0, 8)}…</div>
                   <div>🚫 Screenshot-proof security enabled!</div>
                 </div>
               </div>
 
-              {/* Dynamic Data Indicator */}
+              {/* Token Indicator */}
               <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl p-3 border border-blue-200">
                 <div className="flex items-center justify-center gap-2 mb-2">
                   <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-                  <span className="text-sm font-semibold text-blue-800">🔄 Ultra-High Entropy QR</span>
+                  <span className="text-sm font-semibold text-blue-800">🔐 Signed Rotating Token</span>
                 </div>
                 <div className="text-xs text-blue-600 text-center space-y-1">
-                  <div>Generated: {new Date().toLocaleTimeString()} | Version: {qrData?.version}</div>
-                  <div>Quality: HD (400x400px) | Entropy Sources: {qrData ? '12+' : '0'}</div>
-                  <div>⚡ Each QR contains nano-second precision timestamps!</div>
+                  <div>Window: {qrData?.window} | Version: {qrData?.version}</div>
+                  <div>Signed per session | {QR_TOKEN_CONFIG.STEP_SECONDS}s windows</div>
+                  <div>⚡ Only the code currently on screen is accepted!</div>
                 </div>
               </div>
 
+              {isActive && relayAttempts.length > 0 && (
+                <div className="flex items-center justify-center gap-2 p-3 rounded-xl bg-red-50 border border-red-200 text-red-700">
+                  <ShieldAlert className="w-4 h-4" />
+                  <span className="text-sm font-medium">
+                    {relayAttempts.length} relay attempt{relayAttempts.length > 1 ? 's' : ''} blocked
+                  </span>
+                </div>
+              )}
+
+              {/* Live Roster */}
+              {baseSessionData?.sessionId && (
+                <LiveRoster
+                  sessionId={baseSessionData.sessionId}
+                  expectedCount={studentsCount}
+                  periods={baseSessionData.periods}
+                  currentPeriod={currentPeriod}
+                  periodCheckMode={baseSessionData.periodCheckMode}
+                />
+              )}
+
               {/* Timer */}
               <div className="bg-gray-50 rounded-xl p-4">
                 <div className="flex items-center justify-center gap-3 mb-3">
@@ -658,6 +891,35 @@ const OfflineQRGenerator = () => {
               </div>
 
               <div className="flex justify-center gap-4">
+                {baseSessionData && !baseSessionData.storedOffline && !sessionFinalized && currentPeriod < baseSessionData.periods && (
+                  <Button
+                    onClick={startNextPeriod}
+                    loading={advancingPeriod}
+                    variant="outline"
+                    icon={<SkipForward className="w-4 h-4" />}
+                  >
+                    Start Period {currentPeriod + 1}
+                  </Button>
+                )}
+                {baseSessionData && !baseSessionData.storedOffline && !sessionFinalized && (
+                  <Button
+                    onClick={finalizeCurrentSession}
+                    loading={finalizing}
+                    variant="outline"
+                    icon={<ClipboardCheck className="w-4 h-4" />}
+                  >
+                    Finalize
+                  </Button>
+                )}
+                {isActive && baseSessionData && !baseSessionData.storedOffline && (
+                  <Button
+                    onClick={() => window.open(`/present/${baseSessionData.sessionId}`, '_blank', 'noopener')}
+                    variant="outline"
+                    icon={<MonitorPlay className="w-4 h-4" />}
+                  >
+                    Present
+                  </Button>
+                )}
                 <Button
                   onClick={regenerateQR}
                   className="bg-green-600 hover:bg-green-700 text-white"
@@ -1,52 +1,159 @@
-import React, { useState } from 'react';
-import { Camera, CheckCircle, XCircle, Eye, Calendar, Users, AlertCircle } from 'lucide-react';
+/**
+ * Photo Verification Component for Faculty
+ *
+ * Lists the selfies students took when marking by QR in the faculty's
+ * sessions, next to each student's profile photo. Marks whose liveness
+ * challenge failed or could not be verified on the student's device, or
+ * whose selfie nearly duplicates another one, are flagged and listed first,
+ * as are offline scans, which only count once approved; a duplicate is shown
+ * beside the photo it matches. Only a faculty decision changes a mark:
+ * approving verifies the record; rejecting downgrades the mark to absent,
+ * and approving a rejected photo afterwards restores the mark.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Camera, CheckCircle, XCircle, AlertCircle, UserRound, Copy } from 'lucide-react';
 import Button from '../common/Button';
 import Modal from '../common/Modal';
+import ProxyAlerts from './ProxyAlerts';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotify } from '../../contexts/NotificationContext';
+import { getAttendancePhotos, reviewAttendancePhoto } from '../../services/firebase';
+import { PHOTO_REVIEW_STATUS, ATTENDANCE_STATUS } from '../../utils/constants';
 
-// Mock photo data
-const MOCK_PHOTOS = [
-  {
-    id: '1',
-    studentName: 'Aarav Sharma',
-    regNumber: 'BCA22001',
-    photoUrl: 'https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150&h=150&fit=crop&crop=face',
-    timestamp: new Date('2024-01-15T10:30:00'),
-    subject: 'JAVA',
-    status: 'pending'
-  },
-  {
-    id: '2', 
-    studentName: 'Diya Patel',
-    regNumber: 'BCA22002',
-    photoUrl: 'https://images.unsplash.com/photo-1494790108755-2616c7c65c35?w=150&h=150&fit=crop&crop=face',
-    timestamp: new Date('2024-01-15T10:32:00'),
-    subject: 'JAVA',
-    status: 'pending'
-  },
-  {
-    id: '3',
-    studentName: 'Arjun Kumar', 
-    regNumber: 'BCA22003',
-    photoUrl: 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150&h=150&fit=crop&crop=face',
-    timestamp: new Date('2024-01-15T10:35:00'),
-    subject: 'JAVA',
-    status: 'approved'
-  }
-];
+/**
+ * Format a Firestore timestamp or Date for display
+ * @param {object|Date} value - Timestamp value
+ * @returns {string} Localized date and time
+ */
+const formatMarkTime = (value) => {
+  const date = value?.toDate ? value.toDate() : value;
+  return date instanceof Date ? date.toLocaleString() : '';
+};
+
+/**
+ * Profile photo and attendance selfie side by side
+ */
+const PhotoPair = ({ photo, onOpen, large = false }) => (
+  <div className="grid grid-cols-2 gap-2">
+    {[
+      { label: 'Profile', url: photo.profilePhotoUrl },
+      { label: 'Attendance', url: photo.photoUrl }
+    ].map(({ label, url }) => (
+      <div key={label}>
+        <div className={`${large ? 'h-72' : 'aspect-square'} rounded-lg overflow-hidden bg-gray-200`}>
+          {url ? (
+            <img
+              src={url}
+              alt={`${photo.studentName} - ${label}`}
+              className={`w-full h-full object-cover ${onOpen ? 'cursor-pointer hover:opacity-90 transition-opacity' : ''}`}
+              onClick={onOpen}
+            />
+          ) : (
+            <div className="w-full h-full flex flex-col items-center justify-center text-xs text-gray-500">
+              <UserRound className="w-6 h-6 mb-1" />
+              No photo
+            </div>
+          )}
+        </div>
+        <p className="text-xs text-center text-gray-500 mt-1">{label}</p>
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * A selfie beside each near-duplicate found for it
+ */
+const DuplicateMatches = ({ photo }) => (
+  <div className="space-y-3">
+    {photo.duplicateMatches.map(({ record, distance, scope }) => {
+      const otherUrl = record.photoUrl || record.photoThumbnailUrl;
+      return (
+        <div key={`${scope}-${record.id}`} className="border border-red-200 bg-red-50 rounded-lg p-3">
+          <p className="text-sm font-medium text-red-700 mb-2">
+            {scope === 'session'
+              ? `Same photo as ${record.studentName} in this session`
+              : 'Same photo as an earlier mark'}
+            {' '}· {distance === 0 ? 'identical' : `${distance} bit${distance > 1 ? 's' : ''} apart`}
+          </p>
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              { label: 'This mark', url: photo.photoUrl, time: photo.timestamp },
+              { label: `${record.studentName} · ${record.subjectName || record.subject || ''}`, url: otherUrl, time: record.timestamp }
+            ].map(({ label, url, time }) => (
+              <div key={label}>
+                <div className="h-48 rounded-lg overflow-hidden bg-gray-200">
+                  {url ? (
+                    <img src={url} alt={label} className="w-full h-full object-cover" />
+                  ) : (
+                    <div className="w-full h-full flex flex-col items-center justify-center text-xs text-gray-500">
+                      <UserRound className="w-6 h-6 mb-1" />
+                      {record.photoPurged ? 'Photo purged' : 'No photo'}
+                    </div>
+                  )}
+                </div>
+                <p className="text-xs text-center text-gray-600 mt-1">{label}</p>
+                <p className="text-xs text-center text-gray-500">{formatMarkTime(time)}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      );
+    })}
+  </div>
+);
 
 const PhotoVerification = () => {
-  const [photos, setPhotos] = useState(MOCK_PHOTOS);
+  const [photos, setPhotos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reviewingId, setReviewingId] = useState(null);
   const [selectedPhoto, setSelectedPhoto] = useState(null);
   const [showModal, setShowModal] = useState(false);
-  const [filter, setFilter] = useState('all'); // all, pending, approved, rejected
+  const [filter, setFilter] = useState('all'); // all, flagged, pending, approved, rejected
+  const { user, userProfile } = useAuth();
+  const { success: notifySuccess, error: notifyError } = useNotify();
+
+  useEffect(() => {
+    if (!user?.uid) return;
+
+    const loadPhotos = async () => {
+      const result = await getAttendancePhotos(user.uid);
+      if (result.success) {
+        setPhotos(result.data);
+      } else {
+        notifyError(result.error || 'Failed to load attendance photos');
+      }
+      setLoading(false);
+    };
+    loadPhotos();
+  }, [user?.uid, notifyError]);
+
+  const handlePhotoAction = async (photoId, action) => {
+    setReviewingId(photoId);
+    const result = await reviewAttendancePhoto(photoId, action, {
+      uid: user.uid,
+      name: userProfile?.fullName || user.displayName
+    });
+    setReviewingId(null);
+
+    if (!result.success) {
+      notifyError(result.error || 'Failed to save the review');
+      return;
+    }
 
-  const handlePhotoAction = (photoId, action) => {
-    setPhotos(prev => prev.map(photo => 
-      photo.id === photoId 
-        ? { ...photo, status: action }
+    setPhotos(prev => prev.map(photo =>
+      photo.id === photoId
+        ? { ...photo, reviewStatus: action, status: result.status, flagged: false }
         : photo
     ));
-    
+    notifySuccess(action === PHOTO_REVIEW_STATUS.REJECTED
+      ? 'Photo rejected; the mark is now absent'
+      : 'Photo approved');
+
     if (showModal) {
       setShowModal(false);
       setSelectedPhoto(null);
@@ -60,14 +167,15 @@ const PhotoVerification = () => {
 
   const filteredPhotos = photos.filter(photo => {
     if (filter === 'all') return true;
-    return photo.status === filter;
+    if (filter === 'flagged') return photo.flagged;
+    return photo.reviewStatus === filter;
   });
 
   const getStatusIcon = (status) => {
     switch (status) {
-      case 'approved':
+      case PHOTO_REVIEW_STATUS.APPROVED:
         return <CheckCircle className="w-5 h-5 text-green-500" />;
-      case 'rejected':
+      case PHOTO_REVIEW_STATUS.REJECTED:
         return <XCircle className="w-5 h-5 text-red-500" />;
       default:
         return <AlertCircle className="w-5 h-5 text-yellow-500" />;
@@ -76,21 +184,24 @@ const PhotoVerification = () => {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'approved':
+      case PHOTO_REVIEW_STATUS.APPROVED:
         return 'bg-green-100 text-green-800 border-green-200';
-      case 'rejected':
+      case PHOTO_REVIEW_STATUS.REJECTED:
         return 'bg-red-100 text-red-800 border-red-200';
       default:
         return 'bg-yellow-100 text-yellow-800 border-yellow-200';
     }
   };
 
-  const pendingCount = photos.filter(p => p.status === 'pending').length;
-  const approvedCount = photos.filter(p => p.status === 'approved').length;
-  const rejectedCount = photos.filter(p => p.status === 'rejected').length;
+  const pendingCount = photos.filter(p => p.reviewStatus === PHOTO_REVIEW_STATUS.PENDING).length;
+  const approvedCount = photos.filter(p => p.reviewStatus === PHOTO_REVIEW_STATUS.APPROVED).length;
+  const rejectedCount = photos.filter(p => p.reviewStatus === PHOTO_REVIEW_STATUS.REJECTED).length;
 
   return (
     <div className="space-y-6">
+      {/* Shared-device marks needing review */}
+      <ProxyAlerts />
+
       {/* Header Stats */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
@@ -142,9 +253,10 @@ const PhotoVerification = () => {
           <div className="flex gap-2">
             {[
               { key: 'all', label: 'All Photos' },
-              { key: 'pending', label: 'Pending' },
-              { key: 'approved', label: 'Approved' }, 
-              { key: 'rejected', label: 'Rejected' }
+              { key: 'flagged', label: 'Flagged' },
+              { key: PHOTO_REVIEW_STATUS.PENDING, label: 'Pending' },
+              { key: PHOTO_REVIEW_STATUS.APPROVED, label: 'Approved' },
+              { key: PHOTO_REVIEW_STATUS.REJECTED, label: 'Rejected' }
             ].map(({ key, label }) => (
               <button
                 key={key}
@@ -162,7 +274,9 @@ const PhotoVerification = () => {
         </div>
 
         {/* Photos Grid */}
-        {filteredPhotos.length === 0 ? (
+        {loading ? (
+          <p className="text-center py-8 text-sm text-gray-500">Loading photos...</p>
+        ) : filteredPhotos.length === 0 ? (
           <div className="text-center py-8">
             <Camera className="w-12 h-12 text-gray-400 mx-auto mb-4" />
             <h4 className="text-lg font-medium text-gray-500 mb-2">
@@ -177,34 +291,45 @@ const PhotoVerification = () => {
             {filteredPhotos.map((photo) => (
               <div key={photo.id} className="bg-gray-50 rounded-lg p-4 border border-gray-200">
                 <div className="flex justify-between items-start mb-3">
-                  {getStatusIcon(photo.status)}
-                  <span className={`px-2 py-1 text-xs font-medium rounded-full border ${getStatusColor(photo.status)}`}>
-                    {photo.status.toUpperCase()}
+                  {getStatusIcon(photo.reviewStatus)}
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full border ${getStatusColor(photo.reviewStatus)}`}>
+                    {photo.reviewStatus.toUpperCase()}
                   </span>
                 </div>
                 
-                <div className="aspect-square mb-3 rounded-lg overflow-hidden bg-gray-200">
-                  <img
-                    src={photo.photoUrl}
-                    alt={photo.studentName}
-                    className="w-full h-full object-cover cursor-pointer hover:opacity-90 transition-opacity"
-                    onClick={() => openPhotoModal(photo)}
-                  />
+                <div className="mb-3">
+                  <PhotoPair photo={photo} onOpen={() => openPhotoModal(photo)} />
                 </div>
                 
                 <div className="space-y-1 mb-4">
                   <h4 className="font-medium text-gray-900">{photo.studentName}</h4>
                   <p className="text-sm text-gray-600">{photo.regNumber}</p>
                   <p className="text-xs text-gray-500">
-                    {photo.timestamp.toLocaleString()}
+                    {formatMarkTime(photo.timestamp)}
                   </p>
-                  <p className="text-xs font-medium text-blue-600">{photo.subject}</p>
+                  <p className="text-xs font-medium text-blue-600">{photo.subjectName || photo.subject}</p>
+                  {photo.status === ATTENDANCE_STATUS.PENDING_REVIEW && (
+                    <p className="text-xs font-medium text-blue-600">Offline scan · counts once approved</p>
+                  )}
+                  {photo.livenessPassed === false && (
+                    <p className="text-xs font-medium text-red-600">Liveness check failed</p>
+                  )}
+                  {photo.livenessPassed && photo.livenessVerified === false && (
+                    <p className="text-xs font-medium text-yellow-700">Liveness unverified · motion only, no face detection</p>
+                  )}
+                  {photo.duplicateMatches?.length > 0 && (
+                    <p className="flex items-center gap-1 text-xs font-medium text-red-600">
+                      <Copy className="w-3 h-3" />
+                      Duplicate photo
+                    </p>
+                  )}
                 </div>
                 
-                {photo.status === 'pending' && (
+                {photo.reviewStatus === PHOTO_REVIEW_STATUS.PENDING && (
                   <div className="flex gap-2">
                     <Button
-                      onClick={() => handlePhotoAction(photo.id, 'approved')}
+                      onClick={() => handlePhotoAction(photo.id, PHOTO_REVIEW_STATUS.APPROVED)}
+                      disabled={reviewingId === photo.id}
                       variant="success"
                       size="sm"
                       className="flex-1"
@@ -213,7 +338,8 @@ const PhotoVerification = () => {
                       Approve
                     </Button>
                     <Button
-                      onClick={() => handlePhotoAction(photo.id, 'rejected')}
+                      onClick={() => handlePhotoAction(photo.id, PHOTO_REVIEW_STATUS.REJECTED)}
+                      disabled={reviewingId === photo.id}
                       variant="danger"
                       size="sm"
                       className="flex-1"
@@ -223,6 +349,19 @@ const PhotoVerification = () => {
                     </Button>
                   </div>
                 )}
+
+                {photo.reviewStatus === PHOTO_REVIEW_STATUS.REJECTED && (
+                  <Button
+                    onClick={() => handlePhotoAction(photo.id, PHOTO_REVIEW_STATUS.APPROVED)}
+                    disabled={reviewingId === photo.id}
+                    variant="outline"
+                    size="sm"
+                    className="w-full"
+                    icon={<CheckCircle className="w-3 h-3" />}
+                  >
+                    Approve Instead
+                  </Button>
+                )}
               </div>
             ))}
           </div>
@@ -238,34 +377,44 @@ const PhotoVerification = () => {
       >
         {selectedPhoto && (
           <div className="space-y-4">
-            <div className="flex justify-center">
-              <img
-                src={selectedPhoto.photoUrl}
-                alt={selectedPhoto.studentName}
-                className="max-w-full max-h-96 rounded-lg shadow-lg"
-              />
-            </div>
+            <PhotoPair photo={selectedPhoto} large />
             
             <div className="bg-gray-50 rounded-lg p-4">
               <div className="grid grid-cols-2 gap-4 text-sm">
                 <div><strong>Student:</strong> {selectedPhoto.studentName}</div>
                 <div><strong>Reg No:</strong> {selectedPhoto.regNumber}</div>
-                <div><strong>Subject:</strong> {selectedPhoto.subject}</div>
-                <div><strong>Time:</strong> {selectedPhoto.timestamp.toLocaleString()}</div>
+                <div><strong>Subject:</strong> {selectedPhoto.subjectName || selectedPhoto.subject}</div>
+                <div><strong>Time:</strong> {formatMarkTime(selectedPhoto.timestamp)}</div>
+                {selectedPhoto.livenessChallenge && (
+                  <div>
+                    <strong>Liveness:</strong> {selectedPhoto.livenessChallenge}{' '}
+                    {!selectedPhoto.livenessPassed
+                      ? 'failed'
+                      : selectedPhoto.livenessVerified === false
+                        ? 'passed by motion only (unverified)'
+                        : 'passed'}
+                  </div>
+                )}
               </div>
             </div>
+
+            {selectedPhoto.duplicateMatches?.length > 0 && (
+              <DuplicateMatches photo={selectedPhoto} />
+            )}
             
-            {selectedPhoto.status === 'pending' && (
+            {selectedPhoto.reviewStatus === PHOTO_REVIEW_STATUS.PENDING && (
               <div className="flex gap-3 justify-center">
                 <Button
-                  onClick={() => handlePhotoAction(selectedPhoto.id, 'approved')}
+                  onClick={() => handlePhotoAction(selectedPhoto.id, PHOTO_REVIEW_STATUS.APPROVED)}
+                  loading={reviewingId === selectedPhoto.id}
                   variant="success"
                   icon={<CheckCircle className="w-4 h-4" />}
                 >
                   Approve
                 </Button>
                 <Button
-                  onClick={() => handlePhotoAction(selectedPhoto.id, 'rejected')}
+                  onClick={() => handlePhotoAction(selectedPhoto.id, PHOTO_REVIEW_STATUS.REJECTED)}
+                  disabled={reviewingId === selectedPhoto.id}
                   variant="danger"
                   icon={<XCircle className="w-4 h-4" />}
                 >
@@ -273,6 +422,19 @@ const PhotoVerification = () => {
                 </Button>
               </div>
             )}
+
+            {selectedPhoto.reviewStatus === PHOTO_REVIEW_STATUS.REJECTED && (
+              <div className="flex justify-center">
+                <Button
+                  onClick={() => handlePhotoAction(selectedPhoto.id, PHOTO_REVIEW_STATUS.APPROVED)}
+                  loading={reviewingId === selectedPhoto.id}
+                  variant="outline"
+                  icon={<CheckCircle className="w-4 h-4" />}
+                >
+                  Approve Instead
+                </Button>
+              </div>
+            )}
           </div>
         )}
       </Modal>
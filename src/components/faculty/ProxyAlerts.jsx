@@ -0,0 +1,120 @@
+/**
+ * Proxy Alerts Component for Faculty
+ *
+ * Shows attendance marks flagged because the same device marked for more
+ * than one student, with the correlated marks side by side so faculty can
+ * compare the selfies, and the QR relay attempts blocked because a code was
+ * redeemed on another device after its first use.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import { ShieldAlert, Smartphone, Share2 } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { getSuspiciousAttendance, getBlockedRelayAttempts } from '../../services/firebase';
+
+/**
+ * Format a Firestore timestamp or Date for display
+ * @param {object|Date} value - Timestamp value
+ * @returns {string} Localized date and time
+ */
+const formatMarkTime = (value) => {
+  const date = value?.toDate ? value.toDate() : value;
+  return date instanceof Date ? date.toLocaleString() : '';
+};
+
+/**
+ * Compact card for one attendance mark
+ */
+const MarkCard = ({ record, highlight }) => (
+  <div className={`rounded-lg p-3 border ${highlight ? 'border-red-300 bg-red-50' : 'border-gray-200 bg-white'}`}>
+    <div className="aspect-square mb-2 rounded-lg overflow-hidden bg-gray-200">
+      {record.photoUrl ? (
+        <img src={record.photoUrl} alt={record.studentName} className="w-full h-full object-cover" />
+      ) : (
+        <div className="w-full h-full flex items-center justify-center text-xs text-gray-500">No photo</div>
+      )}
+    </div>
+    <p className="font-medium text-gray-900 text-sm">{record.studentName || record.studentId}</p>
+    {record.regNumber && <p className="text-xs text-gray-600">{record.regNumber}</p>}
+    <p className="text-xs text-gray-500">{record.missing ? 'Record not found' : formatMarkTime(record.timestamp)}</p>
+  </div>
+);
+
+const ProxyAlerts = () => {
+  const [alerts, setAlerts] = useState([]);
+  const [relayAttempts, setRelayAttempts] = useState([]);
+  const [error, setError] = useState('');
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (!user?.uid) return;
+
+    const loadAlerts = async () => {
+      const result = await getSuspiciousAttendance(user.uid);
+      if (result.success) {
+        setAlerts(result.data);
+      } else {
+        setError('Failed to load proxy alerts');
+      }
+    };
+    const loadRelayAttempts = async () => {
+      const result = await getBlockedRelayAttempts(user.uid);
+      if (result.success) setRelayAttempts(result.data);
+    };
+    loadAlerts();
+    loadRelayAttempts();
+  }, [user?.uid]);
+
+  if (!error && alerts.length === 0 && relayAttempts.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-red-200 p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <ShieldAlert className="w-6 h-6 text-red-600" />
+        <h3 className="text-lg font-semibold text-gray-900">Possible Proxy Attendance</h3>
+        <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-700">
+          {alerts.length}
+        </span>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {relayAttempts.length > 0 && (
+        <div className="flex items-start gap-2 mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">
+          <Share2 className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="font-medium">
+              {relayAttempts.length} relayed QR code{relayAttempts.length > 1 ? 's' : ''} blocked
+            </p>
+            <p className="text-xs text-red-600">
+              {relayAttempts.slice(0, 5).map(attempt => attempt.studentName || attempt.studentId).join(', ')}
+              {relayAttempts.length > 5 && ` and ${relayAttempts.length - 5} more`}
+            </p>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {alerts.map(alert => (
+          <div key={alert.id} className="border border-gray-200 rounded-lg p-4">
+            <p className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+              <Smartphone className="w-4 h-4 text-red-500" />
+              One device marked attendance for {alert.linkedRecords.length + 1} students
+            </p>
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
+              <MarkCard record={alert} highlight />
+              {alert.linkedRecords.map(record => (
+                <MarkCard key={record.id || `${record.sessionId}_${record.studentId}`} record={record} />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ProxyAlerts;
@@ -7,18 +7,16 @@
  * Key Features:
  * - Hardcoded academic data (schools, batches, subjects)
  * - QR code generation with 30-second expiration
+ * - Signed token rotation every QR_TOKEN_CONFIG.STEP_SECONDS
  * - Active session management with countdown timers
  * - Firebase integration for session storage
  * - Professional UI with gradient designs and animations
  * - Real-time session tracking and management
  * 
- * QR Code Data Structure:
- * - sessionId: Unique identifier for the attendance session
- * - facultyId: ID of the faculty member creating the session
- * - school, batch, subject: Academic context
- * - periods: Number of periods for the session
- * - timestamp: When the QR was generated
- * - expiresAt: When the QR code expires (30 seconds)
+ * QR Code Content:
+ * - A signed token { sessionId, window, signature } from services/qrServices.js
+ * - Session details (school, batch, subject, periods) are read from the
+ *   session document by the scanner, not embedded in the QR
  * 
  * @author PW Attendance Portal Team
  * @version 1.0.0
@@ -26,12 +24,36 @@
 
 import React, { useState, useEffect, useRef } from 'react';
 import QRCode from 'qrcode'; // Library for generating QR codes
-import { QrCode, Clock, RefreshCw, Save, School, Users, BookOpen, Hash, GraduationCap, Building2, UserCheck, Timer, Sparkles } from 'lucide-react';
+import { QrCode, Clock, RefreshCw, Save, School, Users, BookOpen, Hash, GraduationCap, Building2, UserCheck, Timer, Sparkles, MonitorPlay, ShieldAlert } from 'lucide-react';
 import Button from '../common/Button';
 import Modal from '../common/Modal';
 import { useAuth } from '../../contexts/AuthContext';
-import { createAttendanceSession, saveQRCodeToStorage, getActiveSessions, deactivateSession } from '../../services/firebase';
+import { createAttendanceSession, saveQRCodeToStorage, getActiveSessions, finalizeSession, measureServerClockOffset, getServerNow, subscribeToRelayAttempts, academicDataService } from '../../services/firebase';
 import { testFirebaseConnection, checkAuthStatus } from '../../utils/firebaseTest';
+import { createQRToken, encodeQRPayload, getWindowIndex, getWindowTimeLeft } from '../../services/qrServices';
+import { QR_PAYLOAD_CONFIG, GEOFENCE_CONFIG } from '../../utils/constants';
+import { buildSessionGeofence } from '../../utils/helpers';
+import GeofenceSettings from './GeofenceSettings';
+import LiveRoster from './LiveRoster';
+
+/**
+ * Render the QR image for the current rotation window of a session
+ * @param {string} sessionId - Attendance session ID
+ * @param {string} secret - Session signing secret
+ * @returns {Promise<string>} QR code data URL
+ */
+const renderTokenQR = async (sessionId, secret) => {
+  const token = await createQRToken(sessionId, secret, { now: getServerNow() });
+  return QRCode.toDataURL(encodeQRPayload(token), {
+    width: 300,
+    margin: 2,
+    color: {
+      dark: '#1e40af', // Blue color for QR code
+      light: '#ffffff'
+    },
+    errorCorrectionLevel: QR_PAYLOAD_CONFIG.ERROR_CORRECTION
+  });
+};
 
 /**
  * QRGenerator Component
@@ -49,6 +71,11 @@ const QRGenerator = () => {
     subject: '',
     periods: ''
   });
+  const [geofenceSettings, setGeofenceSettings] = useState({ // Optional classroom geofence
+    enabled: false,
+    radiusMeters: GEOFENCE_CONFIG.DEFAULT_RADIUS_METERS,
+    location: null
+  });
   
   // QR code state
   const [qrData, setQrData] = useState(null);              // Generated QR data object
@@ -57,6 +84,8 @@ const QRGenerator = () => {
   const [timeLeft, setTimeLeft] = useState(30);            // Countdown timer (30 seconds)
   const [isActive, setIsActive] = useState(false);         // QR code active state
   const [error, setError] = useState('');                  // Error message state
+  const [sessionSecret, setSessionSecret] = useState(null); // Signing secret of the current session
+  const [rotationTimeLeft, setRotationTimeLeft] = useState(0); // Seconds until the next token
   
   /**
    * Hardcoded Academic Data
@@ -105,9 +134,11 @@ const QRGenerator = () => {
   // Session management
   const [activeSessions, setActiveSessions] = useState([]);
   const [currentSessionId, setCurrentSessionId] = useState(null);
+  const [relayAttempts, setRelayAttempts] = useState([]);
 
   const canvasRef = useRef(null);
   const timerRef = useRef(null);
+  const lastWindowRef = useRef(null);
   const { user, userProfile } = useAuth();
 
   // Load active sessions on mount
@@ -133,15 +164,28 @@ const QRGenerator = () => {
     if (formData.school) {
       setBatches(HARDCODED_BATCHES[formData.school] || []);
       setSubjects(HARDCODED_SUBJECTS[formData.school] || []);
-      // Simulate student count based on batch
-      setStudentsCount(Math.floor(Math.random() * 50) + 20); // 20-70 students
     } else {
       setBatches([]);
       setSubjects([]);
-      setStudentsCount(0);
     }
   }, [formData.school]);
 
+  // Expected batch size for the live roster
+  useEffect(() => {
+    if (!formData.school || !formData.batch) {
+      setStudentsCount(0);
+      return;
+    }
+
+    let cancelled = false;
+    academicDataService.getStudentsByBatch(formData.school, formData.batch).then((result) => {
+      if (!cancelled) setStudentsCount(result.success ? result.data.length : 0);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.school, formData.batch]);
+
   // Timer effect
   useEffect(() => {
     if (isActive && timeLeft > 0) {
@@ -161,6 +205,39 @@ const QRGenerator = () => {
     };
   }, [isActive, timeLeft]);
 
+  // Relay attempts blocked for the running session
+  useEffect(() => {
+    if (!isActive || !currentSessionId || !user?.uid) {
+      setRelayAttempts([]);
+      return;
+    }
+    return subscribeToRelayAttempts(currentSessionId, user.uid, setRelayAttempts);
+  }, [isActive, currentSessionId, user?.uid]);
+
+  // Token rotation effect - re-sign the QR whenever a new window starts
+  useEffect(() => {
+    if (!isActive || !currentSessionId || !sessionSecret) return;
+
+    const rotate = async () => {
+      const now = getServerNow();
+      setRotationTimeLeft(getWindowTimeLeft(now));
+
+      const windowIndex = getWindowIndex(now);
+      if (windowIndex === lastWindowRef.current) return;
+      lastWindowRef.current = windowIndex;
+
+      try {
+        setQrCode(await renderTokenQR(currentSessionId, sessionSecret));
+      } catch (error) {
+        console.error('❌ Error rotating QR code:', error);
+      }
+    };
+
+    rotate();
+    const rotationTimer = setInterval(rotate, 1000);
+    return () => clearInterval(rotationTimer);
+  }, [isActive, currentSessionId, sessionSecret]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -199,6 +276,11 @@ const QRGenerator = () => {
       return;
     }
 
+    if (geofenceSettings.enabled && !geofenceSettings.location) {
+      setError('Please capture the classroom location or turn off the location restriction');
+      return;
+    }
+
     // Check if user is authenticated
     if (!user || !user.uid) {
       setError('User not authenticated. Please login again.');
@@ -220,6 +302,9 @@ const QRGenerator = () => {
       console.log('👥 Batch Name:', batchName);
       console.log('📚 Subject Name:', subjectName);
 
+      // Sync with the server clock so expiry and rotation windows match the verifier
+      await measureServerClockOffset();
+
       // Create attendance session with detailed information
       const sessionData = {
         facultyId: user.uid,
@@ -232,8 +317,9 @@ const QRGenerator = () => {
         subjectId: formData.subject,
         subjectName: subjectName,
         periods: parseInt(formData.periods),
+        geofence: buildSessionGeofence(geofenceSettings),
         timestamp: new Date(),
-        expiresAt: new Date(Date.now() + 30000), // 30 seconds
+        expiresAt: new Date(getServerNow() + 30000), // 30 seconds, server time
         studentsCount: studentsCount,
         academicYear: new Date().getFullYear(),
         semester: Math.ceil((new Date().getMonth() + 1) / 6) // 1 or 2
@@ -251,7 +337,7 @@ const QRGenerator = () => {
 
       console.log('🆔 Session created with ID:', sessionResult.sessionId);
 
-      // Generate QR data with comprehensive information
+      // Session details shown on the faculty screen
       const qrDataObj = {
         sessionId: sessionResult.sessionId,
         facultyId: user.uid,
@@ -260,28 +346,19 @@ const QRGenerator = () => {
         subject: formData.subject,
         periods: parseInt(formData.periods),
         timestamp: new Date().toISOString(),
-        expiresAt: new Date(Date.now() + 30000).toISOString()
+        expiresAt: new Date(getServerNow() + 30000).toISOString()
       };
       
       console.log('📱 QR data object:', qrDataObj);
 
       setQrData(qrDataObj);
       setCurrentSessionId(sessionResult.sessionId);
+      setSessionSecret(sessionResult.secret);
 
-      // Generate QR code with better styling
+      // Generate the first signed token QR
       console.log('🎨 Generating QR code image...');
-      const qrString = JSON.stringify(qrDataObj);
-      console.log('📄 QR string length:', qrString.length);
-      
-      const qrCodeDataURL = await QRCode.toDataURL(qrString, {
-        width: 300,
-        margin: 2,
-        color: {
-          dark: '#1e40af', // Blue color for QR code
-          light: '#ffffff'
-        },
-        errorCorrectionLevel: 'H'
-      });
+      const qrCodeDataURL = await renderTokenQR(sessionResult.sessionId, sessionResult.secret);
+      lastWindowRef.current = getWindowIndex(getServerNow());
       
       console.log('✅ QR code generated successfully');
       setQrCode(qrCodeDataURL);
@@ -324,6 +401,7 @@ const QRGenerator = () => {
   const regenerateQR = () => {
     setQrData(null);
     setQrCode('');
+    setSessionSecret(null);
     setTimeLeft(30);
     setIsActive(false);
     generateQRCode();
@@ -335,9 +413,12 @@ const QRGenerator = () => {
   };
 
   const closeModal = async () => {
-    // Deactivate current session if it exists
-    if (currentSessionId && isActive) {
-      await deactivateSession(currentSessionId);
+    // End the current session and fill in absentees
+    if (currentSessionId) {
+      const finalizeResult = await finalizeSession(currentSessionId);
+      if (!finalizeResult.success) {
+        console.error('❌ Error finalizing session:', finalizeResult.error);
+      }
     }
     
     setIsOpen(false);
@@ -346,6 +427,7 @@ const QRGenerator = () => {
     setIsActive(false);
     setTimeLeft(30);
     setCurrentSessionId(null);
+    setSessionSecret(null);
     setFormData({
       school: '',
       batch: '',
@@ -393,10 +475,10 @@ const QRGenerator = () => {
                     </div>
                   </div>
                   <Button
-                    onClick={() => deactivateSession(session.id).then(() => loadActiveSessions())}
+                    onClick={() => finalizeSession(session.id).then(() => loadActiveSessions())}
                     className="px-3 py-1 text-xs bg-red-100 text-red-700 hover:bg-red-200 rounded-lg transition-colors"
                   >
-                    Deactivate
+                    End Session
                   </Button>
                 </div>
               );
@@ -569,6 +651,8 @@ const QRGenerator = () => {
                 </div>
               </div>
 
+              <GeofenceSettings value={geofenceSettings} onChange={setGeofenceSettings} />
+
               {error && (
                 <div className="p-4 bg-gradient-to-r from-red-50 to-red-100 border-2 border-red-200 text-red-700 rounded-xl shadow-sm">
                   <div className="flex items-center gap-3">
@@ -663,6 +747,12 @@ const QRGenerator = () => {
                 <div className="relative">
                   <div className="bg-gradient-to-br from-white to-gray-50 p-8 rounded-2xl shadow-2xl border-2 border-gray-200 transform hover:scale-105 transition-all duration-300">
                     <img src={qrCode} alt="QR Code" className="mx-auto rounded-xl" />
+                    {isActive && (
+                      <div className="mt-3 flex items-center justify-center gap-2 text-xs font-medium text-gray-500">
+                        <RefreshCw className="w-3 h-3" />
+                        <span>New code in {rotationTimeLeft}s</span>
+                      </div>
+                    )}
                   </div>
                   <div className="absolute -top-2 -right-2 w-8 h-8 bg-gradient-to-br from-green-400 to-emerald-500 rounded-full flex items-center justify-center shadow-lg">
                     <Sparkles className="w-4 h-4 text-white" />
@@ -710,8 +800,21 @@ const QRGenerator = () => {
                       : "🔴 QR Code has expired. Generate a new one."}
                   </p>
                 </div>
+                {isActive && relayAttempts.length > 0 && (
+                  <div className="flex items-center justify-center gap-2 p-3 rounded-xl bg-red-50 border border-red-200 text-red-700">
+                    <ShieldAlert className="w-4 h-4" />
+                    <p className="text-sm font-medium">
+                      {relayAttempts.length} relay attempt{relayAttempts.length > 1 ? 's' : ''} blocked
+                    </p>
+                  </div>
+                )}
               </div>
 
+              {/* Live Roster */}
+              {currentSessionId && (
+                <LiveRoster sessionId={currentSessionId} expectedCount={studentsCount} />
+              )}
+
               {/* Actions */}
               <div className="flex justify-center gap-4 pt-2">
                 {isActive ? (
@@ -731,6 +834,15 @@ const QRGenerator = () => {
                     Generate New QR
                   </Button>
                 )}
+                {isActive && currentSessionId && (
+                  <Button
+                    onClick={() => window.open(`/present/${currentSessionId}`, '_blank', 'noopener')}
+                    className="px-6 py-3 bg-gradient-to-r from-gray-100 to-gray-200 hover:from-gray-200 hover:to-gray-300 text-gray-700 font-semibold rounded-xl border-2 border-gray-300 shadow-md hover:shadow-lg transition-all duration-300 transform hover:scale-[1.02]"
+                    icon={<MonitorPlay className="w-5 h-5" />}
+                  >
+                    Present
+                  </Button>
+                )}
                 <Button 
                   onClick={closeModal} 
                   className="px-6 py-3 bg-gradient-to-r from-slate-100 to-gray-100 hover:from-slate-200 hover:to-gray-200 text-gray-600 font-medium rounded-xl border border-gray-300 transition-all duration-200"
@@ -0,0 +1,274 @@
+/**
+ * Timetable Editor Component for Faculty
+ *
+ * Maintains the faculty member's recurring weekly slots (weekday, time,
+ * room, batches, subject and periods). The QR generator offers the slot that
+ * is running now as a one-click session start.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarDays, Plus, Pencil, Trash2, Save, X } from 'lucide-react';
+import Button from '../common/Button';
+import BatchPicker from './BatchPicker';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotify } from '../../contexts/NotificationContext';
+import { timetableService } from '../../services/firebase';
+import { ACADEMIC_CATALOG, WEEKDAYS, PERIOD_OPTIONS } from '../../utils/constants';
+
+const EMPTY_SLOT = {
+  weekday: '1',
+  startTime: '09:00',
+  endTime: '10:00',
+  room: '',
+  school: '',
+  batches: [],
+  subject: '',
+  periods: '1'
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 disabled:bg-gray-100';
+
+/**
+ * TimetableEditor Component
+ *
+ * @returns {JSX.Element} Weekly slot list with an add/edit form
+ */
+const TimetableEditor = () => {
+  const [slots, setSlots] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_SLOT);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const { user } = useAuth();
+  const { success: notifySuccess, error: notifyError } = useNotify();
+
+  const loadSlots = useCallback(async () => {
+    if (!user?.uid) return;
+    const result = await timetableService.getFacultyTimetable(user.uid);
+    if (result.success) {
+      setSlots(result.data);
+    } else {
+      notifyError(result.error || 'Failed to load timetable');
+    }
+    setLoading(false);
+  }, [user?.uid, notifyError]);
+
+  useEffect(() => {
+    loadSlots();
+  }, [loadSlots]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Batches and subject depend on the school
+      ...(name === 'school' && { batches: [], subject: '' })
+    }));
+  };
+
+  const openForm = (slot = null) => {
+    setEditingId(slot?.id || null);
+    setFormData(slot
+      ? {
+        weekday: String(slot.weekday),
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        room: slot.room || '',
+        school: slot.school,
+        batches: slot.batches || [slot.batch],
+        subject: slot.subject,
+        periods: String(slot.periods)
+      }
+      : EMPTY_SLOT);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_SLOT);
+  };
+
+  const saveSlot = async () => {
+    if (!formData.school || !formData.batches.length || !formData.subject) {
+      notifyError('Please choose the school, batches and subject');
+      return;
+    }
+
+    const schoolName = ACADEMIC_CATALOG.SCHOOLS.find(s => s.id === formData.school)?.name;
+    const batchNames = formData.batches.map(batchId =>
+      ACADEMIC_CATALOG.BATCHES[formData.school]?.find(b => b.id === batchId)?.name || batchId
+    );
+    const subjectName = ACADEMIC_CATALOG.SUBJECTS[formData.school]?.find(s => s.id === formData.subject)?.name;
+
+    setSaving(true);
+    const result = await timetableService.saveSlot({
+      ...formData,
+      id: editingId,
+      facultyId: user.uid,
+      schoolName: schoolName || formData.school,
+      batchNames,
+      batchName: batchNames.join(', '),
+      subjectName: subjectName || formData.subject
+    });
+    setSaving(false);
+
+    if (result.success) {
+      notifySuccess(editingId ? 'Timetable slot updated' : 'Timetable slot added');
+      closeForm();
+      loadSlots();
+    } else {
+      notifyError(result.error || 'Failed to save timetable slot');
+    }
+  };
+
+  const deleteSlot = async (slot) => {
+    if (!window.confirm(`Delete the ${slot.subjectName} slot for ${slot.batchName}?`)) return;
+
+    const result = await timetableService.deleteSlot(slot.id);
+    if (result.success) {
+      notifySuccess('Timetable slot deleted');
+      setSlots(prev => prev.filter(existing => existing.id !== slot.id));
+    } else {
+      notifyError(result.error || 'Failed to delete timetable slot');
+    }
+  };
+
+  const slotsByDay = WEEKDAYS
+    .map(day => ({ ...day, slots: slots.filter(slot => Number(slot.weekday) === day.value) }))
+    .filter(day => day.slots.length > 0);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <CalendarDays className="w-6 h-6 text-green-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Weekly Timetable</h3>
+        </div>
+        {!showForm && (
+          <Button onClick={() => openForm()} variant="primary" size="sm" icon={<Plus className="w-4 h-4" />}>
+            Add Slot
+          </Button>
+        )}
+      </div>
+
+      {showForm && (
+        <div className="border border-green-200 bg-green-50/50 rounded-xl p-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Day</label>
+              <select name="weekday" value={formData.weekday} onChange={handleInputChange} className={inputClassName}>
+                {WEEKDAYS.map(day => (
+                  <option key={day.value} value={day.value}>{day.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Start</label>
+              <input type="time" name="startTime" value={formData.startTime} onChange={handleInputChange} className={inputClassName} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">End</label>
+              <input type="time" name="endTime" value={formData.endTime} onChange={handleInputChange} className={inputClassName} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Room</label>
+              <input type="text" name="room" value={formData.room} onChange={handleInputChange} placeholder="e.g. Lab 2" className={inputClassName} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">School</label>
+              <select name="school" value={formData.school} onChange={handleInputChange} className={inputClassName}>
+                <option value="">Select School</option>
+                {ACADEMIC_CATALOG.SCHOOLS.map(school => (
+                  <option key={school.id} value={school.id}>{school.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
+              <select name="subject" value={formData.subject} onChange={handleInputChange} disabled={!formData.school} className={inputClassName}>
+                <option value="">Select Subject</option>
+                {(ACADEMIC_CATALOG.SUBJECTS[formData.school] || []).map(subject => (
+                  <option key={subject.id} value={subject.id}>{subject.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Periods</label>
+              <select name="periods" value={formData.periods} onChange={handleInputChange} className={inputClassName}>
+                {PERIOD_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Batches</label>
+            <BatchPicker
+              options={ACADEMIC_CATALOG.BATCHES[formData.school] || []}
+              value={formData.batches}
+              onChange={(batches) => setFormData(prev => ({ ...prev, batches }))}
+            />
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <Button onClick={closeForm} variant="secondary" size="sm" icon={<X className="w-4 h-4" />}>
+              Cancel
+            </Button>
+            <Button onClick={saveSlot} loading={saving} variant="primary" size="sm" icon={<Save className="w-4 h-4" />}>
+              {editingId ? 'Update Slot' : 'Save Slot'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading timetable...</p>
+      ) : slotsByDay.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <CalendarDays className="w-12 h-12 mx-auto mb-2 opacity-50" />
+          <p>No slots yet. Add your weekly classes to start sessions in one click.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {slotsByDay.map(day => (
+            <div key={day.value}>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">{day.label}</h4>
+              <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {day.slots.map(slot => (
+                  <div key={slot.id} className="flex items-center justify-between gap-4 px-4 py-3">
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900">
+                        {slot.startTime}–{slot.endTime} · {slot.subjectName}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {slot.batchName} · {slot.periods} period{slot.periods > 1 ? 's' : ''}
+                        {slot.room && ` · ${slot.room}`}
+                      </p>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button onClick={() => openForm(slot)} variant="ghost" size="sm" icon={<Pencil className="w-4 h-4" />}>
+                        Edit
+                      </Button>
+                      <Button onClick={() => deleteSlot(slot)} variant="ghost" size="sm" icon={<Trash2 className="w-4 h-4" />}>
+                        Delete
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimetableEditor;
@@ -4,7 +4,8 @@ import { User, Phone, School, Users, Upload, Check, ArrowLeft } from 'lucide-rea
 import Button from '../common/Button';
 import Input from '../common/Input';
 import { useAuth } from '../../contexts/AuthContext';
-import { createProfileDocument, uploadFile, generateDeviceId } from '../../services/firebase';
+import { createProfileDocument, uploadFile, generateDeviceId, registerDevice } from '../../services/firebase';
+import { IMAGE_PROCESSING } from '../../utils/constants';
 
 const BATCH_OPTIONS = {
   'School of Technology': [
@@ -94,7 +95,10 @@ const StudentProfileForm = () => {
 
       // Upload photo
       const photoPath = `profiles/${user.uid}/profile-photo.jpg`;
-      const photoResult = await uploadFile(formData.profilePhoto, photoPath);
+      const photoResult = await uploadFile(formData.profilePhoto, photoPath, {
+        preset: IMAGE_PROCESSING.PROFILE_PHOTO,
+        onProgress: percent => setUploadProgress(10 + Math.round(percent / 2))
+      });
       if (!photoResult.success) throw new Error('Failed to upload photo');
       setUploadProgress(60);
 
@@ -103,11 +107,16 @@ const StudentProfileForm = () => {
       const profileData = {
         ...formData,
         profilePhotoUrl: photoResult.url,
+        profilePhotoThumbnailUrl: photoResult.thumbnailUrl || null,
         deviceId,
         isProfileComplete: true
       };
       const profileResult = await createProfileDocument(user.uid, profileData);
       if (!profileResult.success) throw new Error('Failed to create profile');
+
+      // The signup device is the student's first registered device
+      const deviceResult = await registerDevice(user.uid, deviceId);
+      if (!deviceResult.success) console.error('Device registration failed:', deviceResult.error);
       setUploadProgress(90);
 
       // Update auth context
@@ -2,28 +2,29 @@ import React, { useState, useEffect } from 'react';
 import { BarChart3, PieChart, TrendingUp, AlertCircle } from 'lucide-react';
 import LoadingSpinner from '../common/LoadingSpinner';
 import { useAuth } from '../../contexts/AuthContext';
+import { getStudentAttendanceSummary } from '../../services/firebase';
 
 const AttendanceChart = ({ detailed = false }) => {
   const [loading, setLoading] = useState(true);
-  const [attendanceData, setAttendanceData] = useState({
-    overall: 85,
-    subjects: [
-      { name: 'JAVA', percentage: 90, present: 18, total: 20 },
-      { name: 'DSA', percentage: 85, present: 17, total: 20 },
-      { name: 'DBMS', percentage: 80, present: 16, total: 20 },
-    ]
-  });
+  const [attendanceData, setAttendanceData] = useState({ overall: 0, late: 0, subjects: [] });
+  const [error, setError] = useState('');
 
-  const { userProfile } = useAuth();
+  const { user } = useAuth();
 
   useEffect(() => {
-    // Simulate data loading
-    const timer = setTimeout(() => {
-      setLoading(false);
-    }, 1000);
+    if (!user?.uid) return;
 
-    return () => clearTimeout(timer);
-  }, []);
+    const loadAttendance = async () => {
+      const result = await getStudentAttendanceSummary(user.uid);
+      if (result.success) {
+        setAttendanceData(result.data);
+      } else {
+        setError('Failed to load attendance data');
+      }
+      setLoading(false);
+    };
+    loadAttendance();
+  }, [user?.uid]);
 
   const getPercentageColor = (percentage) => {
     if (percentage >= 90) return 'text-green-600';
@@ -59,6 +60,10 @@ const AttendanceChart = ({ detailed = false }) => {
             {attendanceData.overall}%
           </div>
           <p className="text-gray-600">Total Attendance Percentage</p>
+          {attendanceData.late > 0 && (
+            <p className="text-sm text-yellow-600 mt-1">Includes {attendanceData.late} late marks</p>
+          )}
+          {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
           
           {attendanceData.overall < 75 && (
             <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
@@ -82,6 +87,9 @@ const AttendanceChart = ({ detailed = false }) => {
         </div>
         
         <div className="space-y-4">
+          {attendanceData.subjects.length === 0 && (
+            <p className="text-center py-4 text-gray-500">No attendance recorded yet</p>
+          )}
           {attendanceData.subjects.map((subject, index) => (
             <div key={index} className="border border-gray-200 rounded-lg p-4">
               <div className="flex justify-between items-center mb-2">
@@ -99,9 +107,14 @@ const AttendanceChart = ({ detailed = false }) => {
               </div>
               
               <div className="flex justify-between text-sm text-gray-600">
-                <span>Present: {subject.present}</span>
+                <span>Present: {subject.present}{subject.late > 0 && ` (+${subject.late} late)`}</span>
                 <span>Total: {subject.total}</span>
               </div>
+              {subject.periodsTotal > subject.total && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Periods attended: {subject.periodsAttended} / {subject.periodsTotal}
+                </p>
+              )}
               
               {detailed && subject.percentage < 75 && (
                 <div className="mt-2 text-xs text-red-600 bg-red-50 p-2 rounded">
@@ -6,6 +6,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useNotify } from '../../contexts/NotificationContext';
 import { addDoc, collection, query, where, orderBy, getDocs, updateDoc, doc } from 'firebase/firestore';
 import { db, uploadFile } from '../../services/firebase';
+import { IMAGE_PROCESSING } from '../../utils/constants';
 
 const SUBJECTS = [
   'JAVA',
@@ -30,6 +31,7 @@ const LeaveApplication = () => {
   const [fetchingApplications, setFetchingApplications] = useState(true);
   const [recentApplications, setRecentApplications] = useState([]);
   const [attachmentPreview, setAttachmentPreview] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(0);
 
   const { user, userProfile } = useAuth();
   const notify = useNotify();
@@ -124,7 +126,11 @@ const LeaveApplication = () => {
       // Upload attachment if provided
       if (formData.attachment) {
         const attachmentPath = `leave_attachments/${user.uid}/${Date.now()}_${formData.attachment.name}`;
-        const uploadResult = await uploadFile(formData.attachment, attachmentPath);
+        // Image attachments are resized and stripped of EXIF data first
+        const uploadResult = await uploadFile(formData.attachment, attachmentPath, {
+          preset: IMAGE_PROCESSING.ATTACHMENT,
+          onProgress: setUploadProgress
+        });
         
         if (uploadResult.success) {
           attachmentUrl = uploadResult.url;
@@ -176,6 +182,7 @@ const LeaveApplication = () => {
       notify.error('Failed to submit leave application. Please try again.');
     } finally {
       setLoading(false);
+      setUploadProgress(0);
     }
   };
 
@@ -323,6 +330,7 @@ const LeaveApplication = () => {
               {formData.attachment && (
                 <span className="text-sm text-gray-600">
                   {formData.attachment.name}
+                  {loading && uploadProgress > 0 && ` · ${uploadProgress}%`}
                 </span>
               )}
             </div>
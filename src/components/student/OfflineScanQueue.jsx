@@ -0,0 +1,75 @@
+/**
+ * Offline Scan Queue Component for Students
+ *
+ * Submits attendance scans saved while offline as soon as the device is
+ * back online, and shows how many are still waiting.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import { CloudOff, RefreshCw } from 'lucide-react';
+import Button from '../common/Button';
+import { useNotify } from '../../contexts/NotificationContext';
+import {
+  getQueuedScans,
+  onScanQueueChange,
+  startScanQueueSync,
+  syncScanQueue
+} from '../../services/scanQueue';
+
+const OfflineScanQueue = () => {
+  const [queuedScans, setQueuedScans] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const { success: notifySuccess, error: notifyError } = useNotify();
+
+  useEffect(() => {
+    getQueuedScans().then(setQueuedScans);
+    return onScanQueueChange(setQueuedScans);
+  }, []);
+
+  useEffect(() => {
+    return startScanQueueSync((results) => {
+      results.forEach(({ result }) => {
+        if (result.success) {
+          notifySuccess(result.pendingReview
+            ? 'Saved offline scan submitted. It counts once your faculty approve it.'
+            : 'Saved offline scan submitted. Attendance marked.');
+        } else if (!result.alreadyMarked) {
+          notifyError(`Saved offline scan was not accepted: ${result.error}`);
+        }
+      });
+    });
+  }, [notifySuccess, notifyError]);
+
+  const retryNow = async () => {
+    setSyncing(true);
+    await syncScanQueue();
+    setSyncing(false);
+  };
+
+  if (queuedScans.length === 0) return null;
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 bg-yellow-50 border border-yellow-200 rounded-xl">
+      <div className="flex items-center gap-3 text-yellow-800">
+        <CloudOff className="w-5 h-5 flex-shrink-0" />
+        <span className="text-sm font-medium">
+          {queuedScans.length} attendance scan{queuedScans.length > 1 ? 's' : ''} waiting for a connection
+        </span>
+      </div>
+      <Button
+        onClick={retryNow}
+        loading={syncing}
+        variant="outline"
+        size="sm"
+        icon={<RefreshCw className="w-4 h-4" />}
+      >
+        Retry Now
+      </Button>
+    </div>
+  );
+};
+
+export default OfflineScanQueue;
@@ -6,18 +6,23 @@
  * 
  * Key Features:
  * - QR code scanning using device camera
- * - QR code validation and expiration check (30 seconds)
- * - Photo capture for attendance verification
+ * - Signed rotating token window checks (see services/qrServices.js); the
+ *   signature is verified by the server when attendance is written
+ * - Photo capture for attendance verification; faculty compare it with the
+ *   profile photo in the photo review
+ * - Randomised liveness challenge before the photo can be taken
+ *   (see services/liveness.js)
  * - Real-time attendance submission to Firebase
+ * - Offline scans queued and submitted on reconnect (see services/scanQueue.js)
  * - Multi-step modal workflow
  * - Error handling and user feedback
  * 
  * Attendance Flow:
- * 1. Student opens QR scanner
- * 2. Scans QR code from faculty
- * 3. Validates QR data and expiration
+ * 1. Student opens QR scanner, or opens a scan link with the phone camera
+ * 2. Scans QR code from faculty (scan links skip straight to verification)
+ * 3. Checks the token's rotation window and claims it for this device
  * 4. Shows confirmation with session details
- * 5. Captures verification photo
+ * 5. Runs a liveness challenge, then captures the verification photo
  * 6. Submits attendance with photo to Firebase
  * 
  * @author PW Attendance Portal Team
@@ -30,16 +35,123 @@ import { QrCode, Camera, X, CheckCircle, AlertCircle } from 'lucide-react';
 import Button from '../common/Button';
 import Modal from '../common/Modal';
 import { useAuth } from '../../contexts/AuthContext';
-import { markAttendance, uploadFile } from '../../services/firebase';
+import {
+  verifyAttendanceToken,
+  getSessionDetails,
+  claimQrWindow,
+  generateDeviceId,
+  measureServerClockOffset,
+  getServerNow
+} from '../../services/firebase';
+import { decodeQRPayload, getWindowStart } from '../../services/qrServices';
+import { submitScan, enqueueScan } from '../../services/scanQueue';
+import { computePhotoHash } from '../../services/photoHash';
+import { pickLivenessChallenge, runLivenessChallenge } from '../../services/liveness';
+import {
+  QR_ERROR_CODES,
+  QR_ERROR_MESSAGES,
+  GEOFENCE_CONFIG,
+  ATTENDANCE_STATUS,
+  LIVENESS,
+  LIVENESS_PROMPTS
+} from '../../utils/constants';
+import { getCurrentPosition, getSessionBatches, findEnrolledBatch, isOnline } from '../../utils/helpers';
+
+/**
+ * Verify scanned QR content and load the session it belongs to
+ * @param {string} text - Decoded QR text, scan link or compact payload
+ * @param {object} profile - Scanning student's profile, for the batch check
+ * @param {boolean} resumedAfterSignIn - Scan link opened before the student signed in
+ * @returns {Promise<object>} { success, data } or { success: false, error }
+ */
+const resolveScan = async (text, profile, resumedAfterSignIn = false) => {
+  const token = decodeQRPayload(text);
+  if (!token) {
+    return { success: false, error: QR_ERROR_MESSAGES[QR_ERROR_CODES.MALFORMED] };
+  }
+
+  try {
+    // Reject replayed or out-of-window tokens before going further; the
+    // signature is checked by the server when attendance is written
+    const tokenResult = verifyAttendanceToken(token, getServerNow());
+    if (!tokenResult.success && resumedAfterSignIn && tokenResult.code === QR_ERROR_CODES.EXPIRED) {
+      return { success: false, error: QR_ERROR_MESSAGES[QR_ERROR_CODES.EXPIRED_DURING_SIGN_IN] };
+    }
+    if (!tokenResult.success) {
+      return { success: false, error: tokenResult.error || QR_ERROR_MESSAGES[QR_ERROR_CODES.MALFORMED] };
+    }
+
+    // The capture time comes from the token, not this device's clock
+    const scannedAt = getWindowStart(token.window);
+
+    // Offline, or the session was started on an offline faculty device and
+    // has not synced yet: the scan is queued and linked to the session once
+    // it can be loaded
+    const sessionResult = isOnline()
+      ? await getSessionDetails(token.sessionId)
+      : { success: false, offline: true };
+    if (sessionResult.notFound || sessionResult.offline) {
+      return {
+        success: true,
+        data: { token, scannedAt, sessionId: token.sessionId, pendingSession: true }
+      };
+    }
+    if (!sessionResult.success) {
+      return { success: false, error: QR_ERROR_MESSAGES[QR_ERROR_CODES.SESSION_NOT_FOUND] };
+    }
+
+    // Combined sessions cover several batches; the student must be in one
+    const session = sessionResult.data;
+    if ((profile?.batchId || profile?.batch) && !findEnrolledBatch(profile, session)) {
+      return { success: false, error: QR_ERROR_MESSAGES[QR_ERROR_CODES.NOT_ENROLLED] };
+    }
+
+    // Claim the code's window for this device now, while it is on screen;
+    // a code relayed from another device is refused here
+    const claimResult = await claimQrWindow(token, {
+      deviceId: generateDeviceId(),
+      studentName: profile?.fullName,
+      facultyId: session.facultyId
+    });
+    if (!claimResult.success) {
+      return { success: false, error: claimResult.error };
+    }
+
+    return {
+      success: true,
+      data: {
+        token,
+        scannedAt,
+        sessionId: session.id,
+        facultyId: session.facultyId,
+        school: session.schoolId || session.school,
+        batch: session.batchId || session.batch,
+        subject: session.subjectId || session.subject,
+        schoolName: session.schoolName || session.school,
+        batchName: getSessionBatches(session).map(batch => batch.name).join(', '),
+        subjectName: session.subjectName || session.subject,
+        periods: session.periods,
+        geofence: session.geofence || null
+      }
+    };
+  } catch (err) {
+    console.error('QR verification error:', err);
+    return { success: false, error: QR_ERROR_MESSAGES[QR_ERROR_CODES.MALFORMED] };
+  }
+};
 
 /**
  * QRScanner Component
  * 
  * Main component for student attendance QR code scanning and photo verification.
  * 
+ * @param {Object} props - Component props
+ * @param {string} props.initialPayload - QR payload from a scan link; verified on mount
+ * @param {boolean} props.resumedAfterSignIn - The link was opened before the student signed in
+ * @param {Function} props.onClose - Called when the scanner closes
  * @returns {JSX.Element} QR Scanner interface with multi-step modal workflow
  */
-const QRScanner = () => {
+const QRScanner = ({ initialPayload = null, resumedAfterSignIn = false, onClose }) => {
   // Modal and scanning states
   const [isOpen, setIsOpen] = useState(false);                    // Main modal visibility
   const [scanning, setScanning] = useState(false);               // QR scanning active state
@@ -49,15 +161,20 @@ const QRScanner = () => {
   const [error, setError] = useState('');                        // Error message state
   const [success, setSuccess] = useState('');                    // Success message state
   const [loading, setLoading] = useState(false);                 // Loading state for submission
+  const [verifyingLink, setVerifyingLink] = useState(false);     // Scan link verification in progress
 
   // Photo capture states
   const [photoStream, setPhotoStream] = useState(null);          // Camera media stream
   const [capturedPhoto, setCapturedPhoto] = useState(null);      // Captured photo blob
   const [photoPreview, setPhotoPreview] = useState(null);        // Photo preview data URL
+  const [uploadProgress, setUploadProgress] = useState(0);        // Photo upload progress percentage
+  const [liveness, setLiveness] = useState(null);                // { challenge, running, attempts, result }
 
   const scannerRef = useRef(null);
+  const verifyingRef = useRef(false);                            // Guards against overlapping scan callbacks
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
+  const livenessAbortRef = useRef(null);                         // Stops a running liveness challenge
   const { user, userProfile } = useAuth();
 
   const openScanner = () => {
@@ -74,6 +191,8 @@ const QRScanner = () => {
       photoStream.getTracks().forEach(track => track.stop());
       setPhotoStream(null);
     }
+    livenessAbortRef.current?.abort();
+    setLiveness(null);
     setIsOpen(false);
     setScanning(false);
     setScannedData(null);
@@ -83,6 +202,7 @@ const QRScanner = () => {
     setPhotoPreview(null);
     setError('');
     setSuccess('');
+    onClose?.();
   };
 
   const startScanning = async () => {
@@ -90,6 +210,10 @@ const QRScanner = () => {
       setScanning(true);
       setError('');
 
+      // Judge token windows on the server clock; offline this falls back
+      // to the last measured offset and scanning goes ahead regardless
+      await measureServerClockOffset();
+
       const scanner = new Html5QrcodeScanner(
         'qr-reader',
         {
@@ -110,26 +234,19 @@ const QRScanner = () => {
     }
   };
 
-  const onScanSuccess = (decodedText) => {
-    try {
-      const qrData = JSON.parse(decodedText);
-      
-      // Validate QR code structure
-      if (!qrData.sessionId || !qrData.facultyId || !qrData.timestamp) {
-        throw new Error('Invalid QR code format');
-      }
-
-      // Check if QR code is expired (30 seconds)
-      const now = new Date().getTime();
-      const qrTime = new Date(qrData.timestamp).getTime();
-      const timeDiff = (now - qrTime) / 1000;
+  const onScanSuccess = async (decodedText) => {
+    if (verifyingRef.current) return;
 
-      if (timeDiff > 30) {
-        setError('QR code has expired. Please ask your faculty to generate a new one.');
+    try {
+      verifyingRef.current = true;
+      const result = await resolveScan(decodedText, userProfile);
+      if (!result.success) {
+        setError(result.error);
         return;
       }
 
-      setScannedData(qrData);
+      setScannedData(result.data);
+      setError('');
       setShowConfirmation(true);
       
       // Stop scanner
@@ -137,13 +254,38 @@ const QRScanner = () => {
         scannerRef.current.clear();
       }
       setScanning(false);
-
-    } catch (err) {
-      console.error('QR parsing error:', err);
-      setError('Invalid QR code. Please scan the attendance QR code from your faculty.');
+    } finally {
+      verifyingRef.current = false;
     }
   };
 
+  // Scan links open straight into confirmation once the token checks out
+  useEffect(() => {
+    if (!initialPayload) return;
+    let cancelled = false;
+
+    const openScanLink = async () => {
+      setIsOpen(true);
+      setVerifyingLink(true);
+      await measureServerClockOffset();
+      const result = await resolveScan(initialPayload, userProfile, resumedAfterSignIn);
+      if (cancelled) return;
+
+      setVerifyingLink(false);
+      if (result.success) {
+        setScannedData(result.data);
+        setShowConfirmation(true);
+      } else {
+        setError(result.error);
+      }
+    };
+    openScanLink();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [initialPayload, resumedAfterSignIn, userProfile]);
+
   const onScanError = (errorMessage) => {
     // Don't show every scan error, just log them
     console.log('Scan error:', errorMessage);
@@ -169,7 +311,8 @@ const QRScanner = () => {
       
       if (videoRef.current) {
         videoRef.current.srcObject = stream;
-        videoRef.current.play();
+        await videoRef.current.play();
+        runLiveness(0);
       }
     } catch (err) {
       console.error('Photo capture error:', err);
@@ -177,8 +320,36 @@ const QRScanner = () => {
     }
   };
 
+  /**
+   * Run a fresh random challenge on the selfie video
+   * @param {number} attempts - Challenges already failed on this capture
+   */
+  const runLiveness = async (attempts) => {
+    if (!videoRef.current) return;
+
+    livenessAbortRef.current?.abort();
+    const controller = new AbortController();
+    livenessAbortRef.current = controller;
+
+    const challenge = pickLivenessChallenge();
+    setLiveness({ challenge, running: true, attempts, result: null });
+    const result = await runLivenessChallenge(videoRef.current, challenge, { signal: controller.signal });
+    if (controller.signal.aborted) return;
+
+    setLiveness({
+      challenge,
+      running: false,
+      attempts: result.passed ? attempts : attempts + 1,
+      result
+    });
+  };
+
+  // The photo only unlocks once a challenge passes; a student who keeps
+  // failing can retry or be marked manually by their faculty
+  const canCapture = Boolean(liveness && !liveness.running && liveness.result?.passed);
+
   const capturePhoto = () => {
-    if (!videoRef.current || !canvasRef.current) return;
+    if (!videoRef.current || !canvasRef.current || !canCapture) return;
 
     const canvas = canvasRef.current;
     const video = videoRef.current;
@@ -214,38 +385,85 @@ const QRScanner = () => {
       setLoading(true);
       setError('');
 
-      // Upload photo
-      const photoPath = `attendance_photos/${scannedData.sessionId}/${user.uid}_${Date.now()}.jpg`;
-      const uploadResult = await uploadFile(capturedPhoto, photoPath);
-
-      if (!uploadResult.success) {
-        throw new Error('Failed to upload photo');
+      // Capture position for geofenced sessions; the server decides what a miss means
+      let location = null;
+      if (scannedData.geofence || scannedData.pendingSession) {
+        try {
+          location = await getCurrentPosition({ timeout: GEOFENCE_CONFIG.POSITION_TIMEOUT_MS });
+        } catch (locationError) {
+          console.warn('Location unavailable:', locationError.message);
+        }
       }
 
-      // Submit attendance
-      const attendanceData = {
-        studentId: user.uid,
-        sessionId: scannedData.sessionId,
-        facultyId: scannedData.facultyId,
-        school: scannedData.school,
-        batch: scannedData.batch,
-        subject: scannedData.subject,
-        periods: scannedData.periods,
-        photoUrl: uploadResult.url,
-        studentName: userProfile.fullName,
-        studentEmail: user.email,
-        regNumber: userProfile.regNumber,
-        timestamp: new Date(),
-        status: 'present'
+      // The hash lets faculty spot the same photo submitted again
+      const photoHash = await computePhotoHash(capturedPhoto);
+
+      const scan = {
+        photo: capturedPhoto,
+        photoPath: `attendance_photos/${scannedData.sessionId}/${user.uid}_${Date.now()}.jpg`,
+        scannedAt: scannedData.scannedAt,
+        pendingSession: Boolean(scannedData.pendingSession),
+        attendanceData: {
+          studentId: user.uid,
+          sessionId: scannedData.sessionId,
+          facultyId: scannedData.facultyId,
+          school: scannedData.school,
+          batch: scannedData.batch,
+          subject: scannedData.subject,
+          periods: scannedData.periods,
+          qrToken: scannedData.token,
+          location,
+          deviceId: generateDeviceId(),
+          studentName: userProfile.fullName,
+          studentEmail: user.email,
+          regNumber: userProfile.regNumber,
+          livenessChallenge: liveness?.challenge || null,
+          livenessPassed: Boolean(liveness?.result?.passed),
+          livenessVerified: Boolean(liveness?.result?.verified),
+          livenessMethod: liveness?.result?.method || null,
+          photoHash,
+          timestamp: new Date()
+        }
       };
 
-      const markResult = await markAttendance(attendanceData);
+      // Upload the photo and submit; without a connection keep the scan
+      // so it is submitted, and judged by its capture time, once back online
+      setUploadProgress(0);
+      const markResult = await submitScan(scan, { onProgress: setUploadProgress });
+
+      if (markResult.retryable) {
+        const queueResult = await enqueueScan(scan);
+        if (!queueResult.success) {
+          throw new Error('You are offline and the scan could not be saved. Please try again.');
+        }
+        setSuccess(scan.pendingSession && isOnline()
+          ? 'Your scan is saved and will be submitted automatically once your faculty\'s session syncs.'
+          : 'You are offline. Your scan is saved and will be submitted automatically when you reconnect.');
+        setTimeout(() => {
+          closeScanner();
+        }, 3000);
+        return;
+      }
+
+      if (markResult.alreadyMarked) {
+        setSuccess(markResult.error);
+        setTimeout(() => {
+          closeScanner();
+        }, 2000);
+        return;
+      }
 
       if (!markResult.success) {
-        throw new Error('Failed to mark attendance');
+        throw new Error(markResult.error || 'Failed to mark attendance');
       }
 
-      setSuccess('Attendance marked successfully!');
+      setSuccess(markResult.periodRescan
+        ? `Attendance marked for period ${markResult.period}`
+        : markResult.pendingReview
+          ? 'Your scan was saved. It counts once your faculty approve it.'
+          : markResult.status === ATTENDANCE_STATUS.LATE
+          ? `Attendance marked late (${markResult.minutesLate} min after start)`
+          : 'Attendance marked successfully!');
       
       setTimeout(() => {
         closeScanner();
@@ -262,6 +480,7 @@ const QRScanner = () => {
   useEffect(() => {
     return () => {
       // Cleanup on unmount
+      livenessAbortRef.current?.abort();
       if (scannerRef.current) {
         scannerRef.current.clear().catch(console.error);
       }
@@ -305,7 +524,12 @@ const QRScanner = () => {
         size="lg"
       >
         <div className="space-y-4">
-          {!scanning ? (
+          {verifyingLink ? (
+            <div className="text-center space-y-4 py-6">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+              <p className="text-gray-600 text-sm">Verifying QR code...</p>
+            </div>
+          ) : !scanning ? (
             <div className="text-center space-y-4">
               <div className="w-20 h-20 bg-blue-100 rounded-full flex items-center justify-center mx-auto">
                 <QrCode className="w-10 h-10 text-blue-600" />
@@ -360,17 +584,29 @@ const QRScanner = () => {
             </h3>
           </div>
 
-          {scannedData && (
+          {scannedData?.pendingSession && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+              Your faculty started this session offline. Your attendance will be saved on this
+              device and submitted once the session syncs.
+            </div>
+          )}
+
+          {scannedData && !scannedData.pendingSession && (
             <div className="bg-gray-50 rounded-lg p-4 space-y-2">
               <div className="grid grid-cols-2 gap-2 text-sm">
-                <div><strong>Subject:</strong> {scannedData.subject}</div>
-                <div><strong>School:</strong> {scannedData.school}</div>
-                <div><strong>Batch:</strong> {scannedData.batch}</div>
+                <div><strong>Subject:</strong> {scannedData.subjectName}</div>
+                <div><strong>School:</strong> {scannedData.schoolName}</div>
+                <div><strong>Batch:</strong> {scannedData.batchName}</div>
                 <div><strong>Periods:</strong> {scannedData.periods}</div>
                 <div className="col-span-2">
                   <strong>Date:</strong> {new Date().toLocaleDateString()}
                 </div>
               </div>
+              {scannedData.geofence && (
+                <p className="text-xs text-blue-700">
+                  📍 This session checks your location. Please allow location access when asked.
+                </p>
+              )}
             </div>
           )}
 
@@ -436,6 +672,42 @@ const QRScanner = () => {
             <canvas ref={canvasRef} className="hidden" />
           </div>
 
+          {loading && uploadProgress > 0 && (
+            <div>
+              <div className="flex justify-between text-xs text-gray-600 mb-1">
+                <span>Uploading photo</span>
+                <span>{uploadProgress}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div className="bg-blue-600 h-2 rounded-full transition-all duration-300" style={{ width: `${uploadProgress}%` }}></div>
+              </div>
+            </div>
+          )}
+
+          {!capturedPhoto && liveness && (
+            <div className={`p-3 rounded-lg border text-sm text-center ${
+              liveness.result?.passed
+                ? 'bg-green-50 border-green-200 text-green-700'
+                : liveness.running
+                  ? 'bg-blue-50 border-blue-200 text-blue-800'
+                  : 'bg-yellow-50 border-yellow-200 text-yellow-800'
+            }`}>
+              {liveness.running && (
+                <p className="font-semibold">{LIVENESS_PROMPTS[liveness.challenge]}</p>
+              )}
+              {liveness.result?.passed && (
+                liveness.result.verified
+                  ? <p className="font-medium">Liveness check passed. Take your photo.</p>
+                  : <p className="font-medium">Movement detected. Take your photo; this device cannot detect faces, so your faculty will check it.</p>
+              )}
+              {liveness.result && !liveness.result.passed && (
+                liveness.attempts >= LIVENESS.MAX_ATTEMPTS
+                  ? <p>Liveness check not passed. Try again, or ask your faculty to mark your attendance manually.</p>
+                  : <p>Liveness check not passed. Try again and follow the instruction.</p>
+              )}
+            </div>
+          )}
+
           {success && (
             <div className="flex items-center gap-2 p-3 bg-green-100 border border-green-300 text-green-700 rounded-lg">
               <CheckCircle className="w-5 h-5 flex-shrink-0" />
@@ -456,8 +728,14 @@ const QRScanner = () => {
                 <Button onClick={closeScanner} variant="secondary">
                   Cancel
                 </Button>
+                {liveness?.result && !liveness.result.passed && (
+                  <Button onClick={() => runLiveness(liveness.attempts)} variant="outline">
+                    Try Again
+                  </Button>
+                )}
                 <Button
                   onClick={capturePhoto}
+                  disabled={!canCapture}
                   variant="primary"
                   icon={<Camera className="w-4 h-4" />}
                 >
@@ -3,6 +3,7 @@ import { GraduationCap, LogOut, Calendar, BarChart3, FileText, Bell } from 'luci
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
 import QRScanner from './QRScanner';
+import OfflineScanQueue from './OfflineScanQueue';
 import TodayAttendance from './TodayAttendance';
 import AttendanceChart from './AttendanceChart';
 import LeaveApplication from './LeaveApplication';
@@ -130,6 +131,8 @@ const StudentDashboard = () => {
 
           {/* Main Content */}
           <div className="flex-1 space-y-6">
+            <OfflineScanQueue />
+
             {activeSection === 'dashboard' && (
               <>
                 {/* QR Scanner Section */}
@@ -160,7 +160,7 @@ const TodayAttendance = ({ detailed = false }) => {
                 </div>
                 <div>
                   <span className={`px-3 py-1 text-xs font-medium rounded-full border ${getStatusColor(attendance.status)}`}>
-                    {attendance.status.toUpperCase()}
+                    {attendance.status.replace('_', ' ').toUpperCase()}
                   </span>
                 </div>
               </div>
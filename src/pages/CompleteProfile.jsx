@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { User, GraduationCap, UserCheck, Camera, Upload, Save, ArrowLeft, RefreshCw } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
-import { createProfileDocument, uploadFile, validateEmailRole, academicDataService } from '../services/firebase';
+import { createProfileDocument, uploadFile, validateEmailRole, academicDataService, generateDeviceId, registerDevice } from '../services/firebase';
+import { IMAGE_PROCESSING } from '../utils/constants';
 
 const CompleteProfile = () => {
   const { user, userProfile, updateUserProfile } = useAuth();
@@ -33,6 +34,7 @@ const CompleteProfile = () => {
   
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
   const [photoPreview, setPhotoPreview] = useState(user?.photoURL || null);
   const [schools, setSchools] = useState([]);
   const [batches, setBatches] = useState([]);
@@ -258,14 +260,19 @@ const CompleteProfile = () => {
     
     try {
       let profilePhotoURL = formData.profilePhotoURL;
+      let profilePhotoThumbnailURL = null;
       
       // Upload photo if selected
       if (formData.profilePhoto) {
-        const photoPath = `profile-photos/${user.uid}/${Date.now()}-${formData.profilePhoto.name}`;
-        const uploadResult = await uploadFile(formData.profilePhoto, photoPath);
+        const photoPath = `profile-photos/${user.uid}/${Date.now()}.jpg`;
+        const uploadResult = await uploadFile(formData.profilePhoto, photoPath, {
+          preset: IMAGE_PROCESSING.PROFILE_PHOTO,
+          onProgress: setUploadProgress
+        });
         
         if (uploadResult.success) {
           profilePhotoURL = uploadResult.url;
+          profilePhotoThumbnailURL = uploadResult.thumbnailUrl;
         } else {
           throw new Error('Failed to upload profile photo');
         }
@@ -279,6 +286,7 @@ const CompleteProfile = () => {
         phoneNumber: formData.phoneNumber.trim(),
         role: formData.role,
         profilePhotoURL,
+        profilePhotoThumbnailURL,
         profileComplete: true,
         completedAt: new Date()
       };
@@ -313,6 +321,11 @@ const CompleteProfile = () => {
       const result = await createProfileDocument(user.uid, profileData);
       
       if (result.success) {
+        if (formData.role === 'student') {
+          // The signup device is the student's first registered device
+          const deviceResult = await registerDevice(user.uid, generateDeviceId());
+          if (!deviceResult.success) console.error('Device registration failed:', deviceResult.error);
+        }
         updateUserProfile(profileData);
       } else {
         throw new Error(result.error || 'Failed to save profile');
@@ -745,7 +758,11 @@ const CompleteProfile = () => {
                       <Save className="w-4 h-4" />
                     )}
                     <span>
-                      {isLoading ? 'Completing Profile...' : 'Complete Profile'}
+                      {isLoading
+                        ? uploadProgress > 0 && uploadProgress < 100
+                          ? `Uploading Photo... ${uploadProgress}%`
+                          : 'Completing Profile...'
+                        : 'Complete Profile'}
                     </span>
                   </button>
                 </div>
@@ -0,0 +1,98 @@
+/**
+ * Media Retention Page
+ *
+ * Admin-only page at /admin/media-retention that runs the retention purge
+ * (purgeExpiredMedia) as the signed-in admin: rendered QR images and
+ * verified attendance photos past the system_config retention periods are
+ * deleted. Files that could not be deleted are listed one by one.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Trash2, CheckCircle, AlertCircle } from 'lucide-react';
+import Button from '../components/common/Button';
+import { purgeExpiredMedia } from '../services/firebase';
+
+/**
+ * MediaRetentionPage Component
+ *
+ * @returns {JSX.Element} Purge controls and the result of the last run
+ */
+const MediaRetentionPage = () => {
+  const [isPurging, setIsPurging] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const purgeMedia = async () => {
+    if (!window.confirm('Delete expired QR images and verified attendance photos past the retention period?')) {
+      return;
+    }
+
+    setIsPurging(true);
+    setResult(null);
+    const response = await purgeExpiredMedia();
+    setResult(response);
+    setIsPurging(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4">
+      <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100 max-w-xl mx-auto space-y-4">
+        <div>
+          <h1 className="text-lg font-semibold text-gray-900 mb-1">Media Retention</h1>
+          <p className="text-gray-600 text-sm">
+            Purge expired QR images and verified attendance photos per system config
+          </p>
+        </div>
+
+        {result && (
+          <div className={`p-4 rounded-lg border ${
+            result.success && !result.failures.length
+              ? 'bg-green-50 border-green-200'
+              : 'bg-red-50 border-red-200'
+          }`}>
+            <div className="flex items-center space-x-2">
+              {result.success && !result.failures.length ? (
+                <CheckCircle className="w-5 h-5 text-green-600" />
+              ) : (
+                <AlertCircle className="w-5 h-5 text-red-600" />
+              )}
+              <span className="text-sm font-medium text-gray-800">
+                {result.success
+                  ? `Deleted ${result.qrCodesDeleted} QR image(s) and purged ${result.photosPurged} photo(s)` +
+                    ` (photos kept ${result.policy.photoRetentionDays} days, QR images ${result.policy.qrCodeRetentionHours} hours)`
+                  : result.error}
+              </span>
+            </div>
+            {result.success && result.failures.length > 0 && (
+              <div className="mt-3">
+                <p className="text-sm text-red-700">{result.failures.length} file(s) could not be deleted:</p>
+                <ul className="mt-1 max-h-60 overflow-y-auto text-xs text-red-600 space-y-1 font-mono">
+                  {result.failures.map(failure => (
+                    <li key={failure}>{failure}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex items-center justify-between">
+          <Link to="/" className="text-sm text-blue-600 hover:underline">Back to dashboard</Link>
+          <Button
+            onClick={purgeMedia}
+            loading={isPurging}
+            variant="danger"
+            icon={<Trash2 className="w-4 h-4" />}
+          >
+            Purge Expired Media
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MediaRetentionPage;
@@ -0,0 +1,196 @@
+/**
+ * Presenter View Page
+ *
+ * Full-screen projector display for a live attendance session, served at
+ * /present/:sessionId. It shows only the rotating signed QR code, the
+ * countdowns, the session title and the live present count, so it can run
+ * on the classroom machine while the faculty controls the session elsewhere.
+ *
+ * Everything is driven by the session document: closing or finalizing the
+ * session from another device stops the code here immediately, and no code
+ * is shown once the session's expiresAt has passed.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams } from 'react-router-dom';
+import QRCode from 'qrcode';
+import { Maximize, Users, Timer } from 'lucide-react';
+import {
+  subscribeToSession,
+  getSessionSecret,
+  getSessionState,
+  measureServerClockOffset,
+  getServerNow
+} from '../services/firebase';
+import {
+  createQRToken,
+  encodeQRPayload,
+  getWindowIndex,
+  getWindowTimeLeft
+} from '../services/qrServices';
+import { QR_PAYLOAD_CONFIG, SESSION_STATES } from '../utils/constants';
+
+/**
+ * PresenterView Component
+ *
+ * @returns {JSX.Element} Full-screen rotating QR display
+ */
+const PresenterView = () => {
+  const { sessionId } = useParams();
+  const [session, setSession] = useState(null);
+  const [signing, setSigning] = useState(null);              // { secret, stepSeconds }
+  const [qrCode, setQrCode] = useState('');
+  const [timeLeft, setTimeLeft] = useState(0);               // Seconds until the session expires
+  const [rotationTimeLeft, setRotationTimeLeft] = useState(0);
+  const [expired, setExpired] = useState(false);            // Open, but past expiresAt
+  const [error, setError] = useState('');
+  const lastWindowRef = useRef(null);
+
+  // Live session document
+  useEffect(() => {
+    const unsubscribe = subscribeToSession(
+      sessionId,
+      (data) => {
+        if (!data) setError('Session not found');
+        setSession(data);
+      },
+      (message) => setError(message)
+    );
+    return unsubscribe;
+  }, [sessionId]);
+
+  // Server clock and signing secret
+  useEffect(() => {
+    const loadSigning = async () => {
+      await measureServerClockOffset();
+      const result = await getSessionSecret(sessionId);
+      if (result.success) {
+        setSigning({ secret: result.secret, stepSeconds: result.stepSeconds });
+      } else {
+        setError('You do not have access to present this session');
+      }
+    };
+    loadSigning();
+  }, [sessionId]);
+
+  const isOpen = session && getSessionState(session) === SESSION_STATES.OPEN;
+  const expiresAtMs = session?.expiresAt?.toMillis?.() ?? null;
+
+  // Rotate the code and tick the countdowns
+  useEffect(() => {
+    if (!isOpen || !signing) {
+      lastWindowRef.current = null;
+      return;
+    }
+
+    const tick = async () => {
+      const now = getServerNow();
+      if (expiresAtMs && now > expiresAtMs) {
+        setExpired(true);
+        setQrCode('');
+        lastWindowRef.current = null;
+        return;
+      }
+      setExpired(false);
+      setRotationTimeLeft(getWindowTimeLeft(now, signing.stepSeconds));
+      if (expiresAtMs) {
+        setTimeLeft(Math.max(0, Math.ceil((expiresAtMs - now) / 1000)));
+      }
+
+      const windowIndex = getWindowIndex(now, signing.stepSeconds);
+      if (windowIndex === lastWindowRef.current) return;
+      lastWindowRef.current = windowIndex;
+
+      try {
+        const token = await createQRToken(sessionId, signing.secret, {
+          now,
+          stepSeconds: signing.stepSeconds
+        });
+        setQrCode(await QRCode.toDataURL(encodeQRPayload(token), {
+          width: 720,
+          margin: 2,
+          errorCorrectionLevel: QR_PAYLOAD_CONFIG.ERROR_CORRECTION
+        }));
+      } catch (err) {
+        console.error('❌ Error rendering presenter QR:', err);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [isOpen, signing, sessionId, expiresAtMs]);
+
+  const enterFullscreen = () => {
+    document.documentElement.requestFullscreen?.().catch(console.error);
+  };
+
+  const presentCount = session?.totalPresent ?? session?.studentsPresent?.length ?? 0;
+  const title = session
+    ? `${session.subjectName || session.subject || ''} • ${session.batchName || session.batch || ''}`
+    : '';
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-white flex flex-col">
+      <header className="flex items-center justify-between px-8 py-4">
+        <h1 className="text-3xl font-bold truncate">{title}</h1>
+        <button
+          onClick={enterFullscreen}
+          className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-gray-800 transition-colors"
+          title="Full screen"
+        >
+          <Maximize className="w-6 h-6" />
+        </button>
+      </header>
+
+      <main className="flex-1 flex items-center justify-center gap-16 px-8 pb-8">
+        {error ? (
+          <p className="text-2xl text-red-400">{error}</p>
+        ) : !session || !signing ? (
+          <div className="animate-spin rounded-full h-24 w-24 border-b-2 border-white"></div>
+        ) : !isOpen || expired ? (
+          <div className="text-center">
+            <p className="text-4xl font-bold mb-4">{isOpen ? 'Attendance QR expired' : 'Attendance closed'}</p>
+            <p className="text-2xl text-gray-400">{presentCount} students marked present</p>
+          </div>
+        ) : (
+          <>
+            <div className="bg-white p-6 rounded-3xl">
+              {qrCode && (
+                <img
+                  src={qrCode}
+                  alt="Attendance QR code"
+                  className="w-[min(75vh,720px)] h-[min(75vh,720px)]"
+                  style={{ imageRendering: 'pixelated' }}
+                />
+              )}
+            </div>
+
+            <div className="space-y-10">
+              <div>
+                <div className="flex items-center gap-3 text-gray-400 text-xl mb-2">
+                  <Users className="w-6 h-6" /> Present
+                </div>
+                <p className="text-8xl font-bold text-green-400">{presentCount}</p>
+              </div>
+              {expiresAtMs && (
+                <div>
+                  <div className="flex items-center gap-3 text-gray-400 text-xl mb-2">
+                    <Timer className="w-6 h-6" /> Closes in
+                  </div>
+                  <p className="text-6xl font-bold">{timeLeft}s</p>
+                </div>
+              )}
+              <p className="text-xl text-gray-400">New code in {rotationTimeLeft}s</p>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default PresenterView;
@@ -0,0 +1,56 @@
+/**
+ * Scan Link Page
+ *
+ * Landing page for attendance QR codes opened with a phone's native camera.
+ * The QR encodes /scan?t=<payload>; once the student is signed in this page
+ * hands the payload to QRScanner, which verifies it and jumps straight to
+ * the confirmation and photo steps. A link opened before signing in is
+ * checked like a fresh scan; if its code lapsed meanwhile the student is
+ * asked to scan again.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import QRScanner from '../components/student/QRScanner';
+import { getPendingScanLink, clearPendingScanLink } from '../services/qrServices';
+import { QR_PAYLOAD_CONFIG } from '../utils/constants';
+
+/**
+ * ScanPage Component
+ *
+ * @returns {JSX.Element} Scanner opened on the linked QR payload
+ */
+const ScanPage = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const payload = searchParams.get(QR_PAYLOAD_CONFIG.TOKEN_PARAM);
+  const [pendingLink] = useState(() => {
+    const pending = getPendingScanLink();
+    return pending?.payload === payload ? pending : null;
+  });
+
+  useEffect(() => {
+    clearPendingScanLink();
+  }, []);
+
+  if (!payload) {
+    return <Navigate to="/" replace />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <QRScanner
+          initialPayload={payload}
+          resumedAfterSignIn={Boolean(pendingLink)}
+          onClose={() => navigate('/', { replace: true })}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ScanPage;
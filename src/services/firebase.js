@@ -33,7 +33,6 @@ import {
   setDoc,
   getDoc,
   collection,
-  addDoc,
   query,
   where,
   orderBy,
@@ -41,15 +40,69 @@ import {
   updateDoc,
   deleteDoc,
   getDocs,
+  addDoc,
+  collectionGroup,
+  getDocFromServer,
+  serverTimestamp,
+  runTransaction,
+  writeBatch,
+  GeoPoint,
+  arrayUnion,
+  increment,
 } from "firebase/firestore";
 import {
   getStorage,
   ref,
-  uploadBytes,
+  uploadBytesResumable,
   getDownloadURL,
   deleteObject,
+  listAll,
+  getMetadata,
 } from "firebase/storage";
 import { getAnalytics } from "firebase/analytics";
+import {
+  generateSessionSecret,
+  checkQRTokenWindow,
+  getWindowStart,
+  getRedeemedTokens,
+  recordRedeemedToken,
+} from "./qrServices";
+import {
+  calculateDistanceMeters,
+  getLatePolicy,
+  getLateStatus,
+  getPhotoReviewChange,
+  summarizeAttendance,
+  timeOfDayToMinutes,
+  getSessionBatches,
+  findEnrolledBatch,
+  getSessionPeriodAt,
+  getRetentionPolicy,
+  isOnline,
+} from "../utils/helpers";
+import { isProcessableImage, processImage, getThumbnailPath } from "./imagePipeline";
+import { findSimilarPhotos } from "./photoHash";
+import {
+  QR_TOKEN_CONFIG,
+  RELAY_PROTECTION,
+  PHOTO_HASH,
+  MEDIA_RETENTION,
+  OFFLINE_QUEUE,
+  QR_ERROR_CODES,
+  QR_ERROR_MESSAGES,
+  ATTENDANCE_STATUS,
+  PHOTO_REVIEW_STATUS,
+  SESSION_STATES,
+  SESSION_TRANSITIONS,
+  GEOFENCE_CONFIG,
+  LOCATION_FLAGS,
+  DEVICE_STATUS,
+  DEVICE_REGISTRY,
+  PROXY_DETECTION,
+  TIMETABLE_CONFIG,
+  PERIOD_CHECK_MODES,
+  PERIOD_ATTENDANCE,
+} from "../utils/constants";
 
 /**
  * Firebase Configuration
@@ -134,8 +187,13 @@ export const handleRedirectResult = async () => {
 export const signOutUser = async () => {
   try {
     await signOut(auth);
+    // Redeemed QR tokens are per device, not per account - keep them
+    const redeemedTokens = localStorage.getItem("qr_redeemed_tokens");
     localStorage.clear();
     sessionStorage.clear();
+    if (redeemedTokens) {
+      localStorage.setItem("qr_redeemed_tokens", redeemedTokens);
+    }
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -208,12 +266,90 @@ export const getProfileDocument = async (uid) => {
 };
 
 // Storage Helper Functions
-export const uploadFile = async (file, path) => {
+/**
+ * Upload a file to Storage, reporting progress as it goes
+ *
+ * Images are resized, re-encoded without EXIF metadata and uploaded with a
+ * thumbnail (see uploadImage); other files, and images generated by the app
+ * itself (`raw: true`), are uploaded as they are.
+ * @param {Blob} file - File or blob to upload
+ * @param {string} path - Storage path
+ * @param {object} options - { onProgress(percent), preset: IMAGE_PROCESSING preset for images, raw }
+ * @returns {Promise<object>} { success, url, thumbnailUrl?, path } or { success: false, error }
+ */
+export const uploadFile = async (file, path, options = {}) => {
+  if (!options.raw && isProcessableImage(file)) {
+    return uploadImage(file, path, options);
+  }
+
   try {
-    const storageRef = ref(storage, path);
-    const snapshot = await uploadBytes(storageRef, file);
+    const snapshot = await uploadWithProgress(file, path, options.onProgress);
     const downloadURL = await getDownloadURL(snapshot.ref);
-    return { success: true, url: downloadURL };
+    return { success: true, url: downloadURL, path };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resumable upload of one blob
+ * @param {Blob} blob - Data to upload
+ * @param {string} path - Storage path
+ * @param {Function} onProgress - Called with bytes transferred so far
+ * @returns {Promise<object>} Upload snapshot
+ */
+const uploadWithProgress = (blob, path, onProgress) =>
+  new Promise((resolve, reject) => {
+    const task = uploadBytesResumable(ref(storage, path), blob, {
+      contentType: blob.type || undefined,
+    });
+    task.on(
+      "state_changed",
+      (snapshot) => onProgress?.(Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100)),
+      reject,
+      () => resolve(task.snapshot),
+    );
+  });
+
+/**
+ * Process an image through the shared pipeline and upload it with its thumbnail
+ *
+ * The image is stored as JPEG under `path` with a .jpg extension; the
+ * thumbnail sits next to it with IMAGE_PROCESSING.THUMBNAIL_SUFFIX.
+ * @param {Blob} file - Image file or captured blob
+ * @param {string} path - Storage path for the full image
+ * @param {object} options - { onProgress(percent), preset }
+ * @returns {Promise<object>} { success, url, thumbnailUrl, path } or { success: false, error }
+ */
+export const uploadImage = async (file, path, options = {}) => {
+  try {
+    const processed = await processImage(file, options.preset);
+    if (!processed.success) return processed;
+
+    const imagePath = path.replace(/\.[^./]+$/, "") + ".jpg";
+    const thumbnailPath = getThumbnailPath(imagePath);
+    const totalBytes = processed.image.size + processed.thumbnail.size;
+    const transferred = { image: 0, thumbnail: 0 };
+    const report = (part, size) => (percent) => {
+      transferred[part] = (percent / 100) * size;
+      options.onProgress?.(
+        Math.round(((transferred.image + transferred.thumbnail) / totalBytes) * 100),
+      );
+    };
+
+    const [imageSnapshot, thumbnailSnapshot] = await Promise.all([
+      uploadWithProgress(processed.image, imagePath, report("image", processed.image.size)),
+      uploadWithProgress(
+        processed.thumbnail,
+        thumbnailPath,
+        report("thumbnail", processed.thumbnail.size),
+      ),
+    ]);
+    const [url, thumbnailUrl] = await Promise.all([
+      getDownloadURL(imageSnapshot.ref),
+      getDownloadURL(thumbnailSnapshot.ref),
+    ]);
+    return { success: true, url, thumbnailUrl, path: imagePath };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -229,67 +365,1181 @@ export const deleteFile = async (path) => {
   }
 };
 
+// Media Retention
+/**
+ * Delete a Storage object, treating one that is already gone as deleted
+ * @param {string} pathOrUrl - Storage path or download URL
+ */
+const deleteStoredObject = async (pathOrUrl) => {
+  try {
+    await deleteObject(ref(storage, pathOrUrl));
+  } catch (error) {
+    if (error.code !== "storage/object-not-found") throw error;
+  }
+};
+
+/**
+ * Purge media past the retention policy in system_config
+ *
+ * Rendered QR images under qr_codes/ are deleted once older than
+ * qrCodeRetentionHours. Attendance selfies and their thumbnails are deleted
+ * once older than photoRetentionDays, but only from verified records; the
+ * record keeps `photoPurged` and `photoPurgedAt` in place of the URLs, and
+ * is left as it was if any of its files could not be deleted. Each file
+ * that fails is reported and the purge carries on with the rest.
+ * Run by a signed-in admin from the media retention page.
+ * @returns {Promise<object>} { success, qrCodesDeleted, photosPurged, failures, policy } or { success: false, error }
+ */
+export const purgeExpiredMedia = async () => {
+  try {
+    const policy = getRetentionPolicy(await getSystemConfig(true));
+    const now = getServerNow();
+    const failures = [];
+
+    let qrCodesDeleted = 0;
+    let qrItems = [];
+    try {
+      qrItems = (await listAll(ref(storage, MEDIA_RETENTION.QR_CODES_PATH))).items;
+    } catch (error) {
+      failures.push(`${MEDIA_RETENTION.QR_CODES_PATH}: ${error.message}`);
+    }
+    for (const item of qrItems) {
+      try {
+        const metadata = await getMetadata(item);
+        if (now - new Date(metadata.timeCreated).getTime() < policy.qrCodeRetentionMs) continue;
+        await deleteStoredObject(item.fullPath);
+        qrCodesDeleted++;
+      } catch (error) {
+        failures.push(`${item.fullPath}: ${error.message}`);
+      }
+    }
+
+    let photosPurged = 0;
+    const cutoff = now - policy.photoRetentionMs;
+    const verifiedSnapshot = await getDocs(
+      query(collection(db, "attendance"), where("isVerified", "==", true)),
+    );
+    for (const recordDoc of verifiedSnapshot.docs) {
+      const record = recordDoc.data();
+      const markedAt = (record.serverMarkedAt || record.timestamp)?.toMillis?.();
+      if (!record.photoUrl || record.photoPurged || !markedAt || markedAt > cutoff) continue;
+
+      const files = [record.photoUrl, record.photoThumbnailUrl].filter(Boolean);
+      const results = await Promise.allSettled(files.map(deleteStoredObject));
+      const failed = results
+        .map((result, index) => ({ result, file: files[index] }))
+        .filter(({ result }) => result.status === "rejected");
+      failed.forEach(({ result, file }) => {
+        failures.push(`${ref(storage, file).fullPath}: ${result.reason.message}`);
+      });
+      if (failed.length) continue;
+
+      try {
+        await updateDoc(recordDoc.ref, {
+          photoUrl: null,
+          photoThumbnailUrl: null,
+          photoPurged: true,
+          photoPurgedAt: serverTimestamp(),
+        });
+        photosPurged++;
+      } catch (error) {
+        failures.push(`attendance/${recordDoc.id}: ${error.message}`);
+      }
+    }
+
+    return { success: true, qrCodesDeleted, photosPurged, failures, policy };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+// System Configuration
+let systemConfigCache = null;
+
+/**
+ * Get the system configuration document (cached for the page lifetime)
+ * @param {boolean} force - Reload from Firestore
+ * @returns {Promise<object>} Config data, or an empty object if unavailable
+ */
+export const getSystemConfig = async (force = false) => {
+  if (systemConfigCache && !force) return systemConfigCache;
+
+  try {
+    const configDoc = await getDoc(doc(db, "system_config", "config"));
+    systemConfigCache = configDoc.exists() ? configDoc.data() : {};
+  } catch (error) {
+    console.error("Error loading system config:", error);
+    return {};
+  }
+  return systemConfigCache;
+};
+
+// Registered Devices
+/**
+ * Register a device for a student
+ * Devices are approved automatically up to system_config.maxDevicesPerStudent;
+ * beyond that they are stored as pending until a faculty member or admin approves.
+ * @param {string} studentId - Student UID
+ * @param {string} deviceId - Per-install device ID from generateDeviceId()
+ * @returns {Promise<object>} { success, status } or { success: false, error }
+ */
+export const registerDevice = async (studentId, deviceId) => {
+  try {
+    if (!deviceId) {
+      return { success: false, error: "Device could not be identified" };
+    }
+
+    const profileRef = doc(db, "profiles", studentId);
+    const deviceRef = doc(db, "profiles", studentId, "devices", deviceId);
+    const config = await getSystemConfig();
+    const maxDevices =
+      config.maxDevicesPerStudent ?? DEVICE_REGISTRY.DEFAULT_MAX_DEVICES;
+
+    const status = await runTransaction(db, async (transaction) => {
+      const deviceDoc = await transaction.get(deviceRef);
+      if (deviceDoc.exists()) {
+        return deviceDoc.data().status;
+      }
+
+      const profileDoc = await transaction.get(profileRef);
+      const approvedCount = profileDoc.data()?.approvedDeviceCount || 0;
+      const newStatus =
+        approvedCount < maxDevices ? DEVICE_STATUS.APPROVED : DEVICE_STATUS.PENDING;
+
+      transaction.set(deviceRef, {
+        deviceId,
+        studentId,
+        studentName: profileDoc.data()?.fullName || "",
+        regNumber: profileDoc.data()?.regNumber || "",
+        batchId: profileDoc.data()?.batchId || null,
+        status: newStatus,
+        userAgent: navigator.userAgent,
+        registeredAt: new Date(),
+      });
+      if (newStatus === DEVICE_STATUS.APPROVED) {
+        transaction.update(profileRef, { approvedDeviceCount: approvedCount + 1 });
+      }
+      return newStatus;
+    });
+
+    return { success: true, status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get a student's registered devices
+ * @param {string} studentId - Student UID
+ * @returns {Promise<object>} { success, data } or { success: false, error }
+ */
+export const getRegisteredDevices = async (studentId) => {
+  try {
+    const snapshot = await getDocs(collection(db, "profiles", studentId, "devices"));
+    return {
+      success: true,
+      data: snapshot.docs.map((d) => ({ id: d.id, ...d.data() })),
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get device requests awaiting approval
+ * Faculty only review students of the batches that list them in facultyIds,
+ * as the rules require; without a facultyId (admins) every request is returned.
+ * @param {string} [facultyId] - Faculty UID to limit the requests to
+ * @returns {Promise<object>} { success, data } or { success: false, error }
+ */
+export const getPendingDeviceRequests = async (facultyId = null) => {
+  try {
+    const snapshot = await getDocs(
+      query(
+        collectionGroup(db, "devices"),
+        where("status", "==", DEVICE_STATUS.PENDING),
+      ),
+    );
+    const requests = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+    if (!facultyId) {
+      return { success: true, data: requests };
+    }
+
+    const batchSnapshot = await getDocs(
+      query(collection(db, "batches"), where("facultyIds", "array-contains", facultyId)),
+    );
+    const batchIds = new Set(batchSnapshot.docs.map((d) => d.id));
+    return {
+      success: true,
+      data: requests.filter((request) => batchIds.has(request.batchId)),
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Approve or reject a pending device
+ * @param {string} studentId - Student UID
+ * @param {string} deviceId - Device ID
+ * @param {boolean} approve - true to approve, false to reject
+ * @returns {Promise<object>} { success } or { success: false, error }
+ */
+export const reviewDeviceRequest = async (studentId, deviceId, approve) => {
+  try {
+    const profileRef = doc(db, "profiles", studentId);
+    const deviceRef = doc(db, "profiles", studentId, "devices", deviceId);
+
+    await runTransaction(db, async (transaction) => {
+      const deviceDoc = await transaction.get(deviceRef);
+      const profileDoc = await transaction.get(profileRef);
+      if (!deviceDoc.exists()) {
+        throw new Error("Device not found");
+      }
+      if (deviceDoc.data().status !== DEVICE_STATUS.PENDING) {
+        throw new Error("Device has already been reviewed");
+      }
+
+      transaction.update(deviceRef, {
+        status: approve ? DEVICE_STATUS.APPROVED : DEVICE_STATUS.REJECTED,
+        reviewedBy: auth.currentUser?.uid || null,
+        reviewedAt: new Date(),
+      });
+      if (approve) {
+        transaction.update(profileRef, {
+          approvedDeviceCount: (profileDoc.data()?.approvedDeviceCount || 0) + 1,
+        });
+      }
+    });
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+// Proxy Attendance Detection
+/**
+ * Append a mark to the device's activity ledger
+ *
+ * Students only ever add to the ledger; faculty and admins read it to
+ * correlate marks (see getSuspiciousAttendance).
+ * @param {string} deviceId - Registered device ID
+ * @param {object} mark - { studentId, studentName, sessionId }
+ * @param {number} markedAt - Server-anchored epoch milliseconds
+ * @returns {Promise<void>}
+ */
+const recordDeviceActivity = (deviceId, mark, markedAt) =>
+  setDoc(
+    doc(db, "device_activity", deviceId),
+    {
+      deviceId,
+      marks: arrayUnion({ ...mark, markedAt }),
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true },
+  );
+
+/**
+ * Earlier marks by other students from the device a record was marked on,
+ * in the same session or within PROXY_DETECTION.WINDOW_MS
+ * @param {object} record - Attendance record with deviceId and timestamp
+ * @param {object[]} deviceMarks - The device's activity ledger marks
+ * @returns {object[]} Correlated marks { studentId, studentName, sessionId, markedAt }
+ */
+const findSharedDeviceMarks = (record, deviceMarks) => {
+  const markedAt = record.timestamp?.toMillis?.() || 0;
+  return deviceMarks.filter(
+    (entry) =>
+      entry.studentId !== record.studentId &&
+      entry.markedAt < markedAt &&
+      (entry.sessionId === record.sessionId ||
+        markedAt - entry.markedAt <= PROXY_DETECTION.WINDOW_MS),
+  );
+};
+
+/**
+ * Find the closest of a student's recent selfies to a new one
+ * @param {string} studentId - Student UID
+ * @param {string} photoHash - Hash of the new selfie
+ * @param {string} recordId - ID of the record being created
+ * @param {number} markedAt - Server-anchored epoch milliseconds
+ * @returns {Promise<object|null>} { recordId, sessionId, distance } or null
+ */
+const findReusedPhoto = async (studentId, photoHash, recordId, markedAt) => {
+  const snapshot = await getDocs(
+    query(collection(db, "attendance"), where("studentId", "==", studentId)),
+  );
+  const since = markedAt - PHOTO_HASH.HISTORY_DAYS * 24 * 60 * 60 * 1000;
+  const history = snapshot.docs
+    .filter((recordDoc) => recordDoc.id !== recordId)
+    .map((recordDoc) => ({ id: recordDoc.id, ...recordDoc.data() }))
+    .filter((record) => (record.timestamp?.toMillis?.() || 0) >= since);
+
+  const [closest] = findSimilarPhotos(photoHash, history);
+  return closest
+    ? {
+        recordId: closest.record.id,
+        sessionId: closest.record.sessionId,
+        distance: closest.distance,
+      }
+    : null;
+};
+
+/**
+ * Get suspicious attendance records for a faculty member's sessions,
+ * each with the records it was correlated with
+ *
+ * A QR mark is suspicious when its device had already marked for another
+ * student in the same session or within PROXY_DETECTION.WINDOW_MS.
+ * @param {string} facultyId - Faculty UID
+ * @returns {Promise<object>} { success, data } or { success: false, error }
+ */
+export const getSuspiciousAttendance = async (facultyId) => {
+  try {
+    const snapshot = await getDocs(
+      query(collection(db, "attendance"), where("facultyId", "==", facultyId)),
+    );
+    const marks = snapshot.docs
+      .map((recordDoc) => ({ id: recordDoc.id, ...recordDoc.data() }))
+      .filter((record) => record.deviceId);
+
+    const deviceIds = [...new Set(marks.map((record) => record.deviceId))];
+    const activityDocs = await Promise.all(
+      deviceIds.map((deviceId) => getDoc(doc(db, "device_activity", deviceId))),
+    );
+    const deviceMarks = new Map(
+      activityDocs.map((activityDoc, index) => [
+        deviceIds[index],
+        activityDoc.data()?.marks || [],
+      ]),
+    );
+
+    const flagged = marks
+      .map((record) => ({
+        ...record,
+        sharedDeviceMarks: findSharedDeviceMarks(record, deviceMarks.get(record.deviceId)),
+      }))
+      .filter((record) => record.sharedDeviceMarks.length > 0);
+
+    const records = await Promise.all(
+      flagged.map(async (record) => {
+        const linked = await Promise.all(
+          record.sharedDeviceMarks.map(async (entry) => {
+            const linkedDoc = await getDoc(
+              doc(db, "attendance", getAttendanceDocId(entry.sessionId, entry.studentId)),
+            );
+            return linkedDoc.exists()
+              ? { id: linkedDoc.id, ...linkedDoc.data() }
+              : { ...entry, missing: true };
+          }),
+        );
+        return { ...record, linkedRecords: linked };
+      }),
+    );
+
+    records.sort(
+      (a, b) => (b.timestamp?.toMillis?.() || 0) - (a.timestamp?.toMillis?.() || 0),
+    );
+    return { success: true, data: records };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Selfies taken with QR marks in a faculty member's sessions
+ *
+ * The photos are the ones QRScanner uploads under
+ * attendance_photos/{sessionId}; each comes with the student's profile
+ * photo for comparison and the review state of the record. Unreviewed marks
+ * that are offline scans awaiting approval, or whose liveness challenge
+ * failed or was only checked by motion (no face detection), are flagged
+ * and listed first. So are near-duplicate selfies:
+ * matches within the same session and the earlier mark recorded in
+ * photoReuse come back as duplicateMatches { record, distance, scope }.
+ * @param {string} facultyId - Faculty UID
+ * @returns {Promise<object>} { success, data } or { success: false, error }
+ */
+export const getAttendancePhotos = async (facultyId) => {
+  try {
+    const snapshot = await getDocs(
+      query(
+        collection(db, "attendance"),
+        where("facultyId", "==", facultyId),
+        where("markedBy", "==", "qr"),
+      ),
+    );
+    const records = snapshot.docs
+      .map((recordDoc) => ({ id: recordDoc.id, ...recordDoc.data() }))
+      .filter((record) => record.photoUrl);
+
+    // One profile read per student, however many marks they have
+    const studentIds = [...new Set(records.map((record) => record.studentId))];
+    const profiles = Object.fromEntries(
+      await Promise.all(
+        studentIds.map(async (studentId) => {
+          const profileDoc = await getDoc(doc(db, "profiles", studentId));
+          return [studentId, profileDoc.exists() ? profileDoc.data() : null];
+        }),
+      ),
+    );
+
+    // Earlier marks that selfies were reused from, when not already loaded
+    const loadedIds = new Set(records.map((record) => record.id));
+    const reusedIds = [
+      ...new Set(
+        records
+          .map((record) => record.photoReuse?.recordId)
+          .filter((recordId) => recordId && !loadedIds.has(recordId)),
+      ),
+    ];
+    const reusedRecords = Object.fromEntries([
+      ...records.map((record) => [record.id, record]),
+      ...(await Promise.all(
+        reusedIds.map(async (recordId) => {
+          const reusedDoc = await getDoc(doc(db, "attendance", recordId));
+          return [
+            recordId,
+            reusedDoc.exists() ? { id: recordId, ...reusedDoc.data() } : null,
+          ];
+        }),
+      )),
+    ]);
+
+    const photos = records.map((record) => {
+      const profile = profiles[record.studentId];
+      const sessionMatches = findSimilarPhotos(
+        record.photoHash,
+        records.filter(
+          (other) => other.sessionId === record.sessionId && other.id !== record.id,
+        ),
+      ).map((match) => ({ ...match, scope: "session" }));
+      const reused = record.photoReuse && reusedRecords[record.photoReuse.recordId];
+      const duplicateMatches = reused
+        ? [
+            ...sessionMatches,
+            { record: reused, distance: record.photoReuse.distance, scope: "history" },
+          ]
+        : sessionMatches;
+      const reviewStatus =
+        record.photoReviewStatus ||
+        (record.isVerified ? PHOTO_REVIEW_STATUS.APPROVED : PHOTO_REVIEW_STATUS.PENDING);
+      const flagged =
+        reviewStatus === PHOTO_REVIEW_STATUS.PENDING &&
+        (record.status === ATTENDANCE_STATUS.PENDING_REVIEW ||
+          record.livenessPassed === false ||
+          record.livenessVerified === false ||
+          duplicateMatches.length > 0);
+      return {
+        ...record,
+        profilePhotoUrl: profile?.profilePhotoUrl || profile?.profilePhotoURL || null,
+        reviewStatus,
+        duplicateMatches,
+        flagged,
+      };
+    });
+    photos.sort(
+      (a, b) =>
+        Number(b.flagged) - Number(a.flagged) ||
+        (b.timestamp?.toMillis?.() || 0) - (a.timestamp?.toMillis?.() || 0),
+    );
+    return { success: true, data: photos };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Record the faculty's review of a mark's photo
+ *
+ * Approving verifies the record; an offline scan awaiting review takes the
+ * present or late status it was captured with, and a mark rejected earlier
+ * gets its previous status back. Rejecting downgrades the mark to absent.
+ * Until the session is finalized the student joins or leaves the session
+ * roll-up to match (see getPhotoReviewChange).
+ * @param {string} recordId - Attendance record ID
+ * @param {string} decision - PHOTO_REVIEW_STATUS.APPROVED or REJECTED
+ * @param {object} reviewer - { uid, name } of the reviewing faculty
+ * @returns {Promise<object>} { success, status } or { success: false, error }
+ */
+export const reviewAttendancePhoto = async (recordId, decision, reviewer) => {
+  try {
+    const attendanceRef = doc(db, "attendance", recordId);
+
+    const status = await runTransaction(db, async (transaction) => {
+      const recordDoc = await transaction.get(attendanceRef);
+      if (!recordDoc.exists()) throw new Error("Attendance record not found");
+      const record = recordDoc.data();
+      const sessionRef = doc(db, "attendance_sessions", record.sessionId);
+      const sessionDoc = await transaction.get(sessionRef);
+
+      const change = getPhotoReviewChange(record, decision);
+      transaction.update(attendanceRef, {
+        isVerified: decision !== PHOTO_REVIEW_STATUS.REJECTED,
+        photoReviewStatus: decision,
+        verifiedBy: reviewer.uid,
+        verifiedByName: reviewer.name || null,
+        verifiedAt: serverTimestamp(),
+        status: change.status,
+        ...(change.previousStatus && { previousStatus: change.previousStatus }),
+      });
+
+      const joins = change.roster === "join";
+      if (!change.roster || !sessionDoc.exists()) return change.status;
+
+      // Finalized sessions are read-only; reports count from the records
+      const session = sessionDoc.data();
+      if (getSessionState(session) === SESSION_STATES.FINALIZED) return change.status;
+      const others = (session.studentsPresent || []).filter(
+        (entry) => entry.studentId !== record.studentId,
+      );
+      const studentsPresent = joins
+        ? [
+            ...others,
+            {
+              studentId: record.studentId,
+              studentName: record.studentName,
+              markedAt: record.timestamp?.toDate?.() ?? new Date(),
+              photoUrl: record.photoUrl || null,
+            },
+          ]
+        : others;
+      transaction.update(sessionRef, {
+        studentsPresent,
+        totalPresent: Math.max(
+          0,
+          (session.totalPresent ?? others.length + (joins ? 0 : 1)) + (joins ? 1 : -1),
+        ),
+        lastUpdated: serverTimestamp(),
+      });
+      return change.status;
+    });
+
+    return { success: true, status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+// Server Clock Synchronisation
+// Offset between Firestore server time and this device: server = device + offsetMs.
+// The last measurement is kept in localStorage and reused while offline.
+const CLOCK_OFFSET_KEY = "server_clock_offset";
+const CLOCK_OFFSET_TTL_MS = 5 * 60 * 1000;
+const CLOCK_SYNC_TIMEOUT_MS = 5 * 1000;
+
+/**
+ * Last clock offset measured on this device
+ * @returns {object|null} { offsetMs, roundTripMs, measuredAt }
+ */
+const readStoredClockOffset = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CLOCK_OFFSET_KEY));
+  } catch {
+    return null;
+  }
+};
+
+let clockOffsetCache = readStoredClockOffset();
+
+/**
+ * Reject if a promise has not settled in time
+ * @param {Promise} promise - Pending operation
+ * @param {number} ms - Time limit
+ * @returns {Promise} The operation's result
+ */
+const withTimeout = (promise, ms) =>
+  Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error("Server did not respond")), ms);
+    }),
+  ]);
+
+/**
+ * Measure this device's clock offset against Firestore server timestamps
+ *
+ * Offline, or when the server does not answer in time, the last measured
+ * offset is returned with stale set instead of waiting for a connection.
+ * @param {boolean} force - Re-measure even if a recent measurement exists
+ * @returns {Promise<object>} { success, offsetMs, roundTripMs, measuredAt, stale }
+ */
+export const measureServerClockOffset = async (force = false) => {
+  const lastMeasurement = () =>
+    clockOffsetCache
+      ? { success: true, ...clockOffsetCache, stale: true }
+      : { success: false, error: "Server time could not be measured" };
+
+  try {
+    if (
+      !force &&
+      clockOffsetCache &&
+      Date.now() - clockOffsetCache.measuredAt < CLOCK_OFFSET_TTL_MS
+    ) {
+      return { success: true, ...clockOffsetCache };
+    }
+
+    const uid = auth.currentUser?.uid;
+    if (!uid) {
+      return { success: false, error: "User not authenticated" };
+    }
+    if (!isOnline()) {
+      return lastMeasurement();
+    }
+
+    // The server stamps the write between sentAt and ackAt
+    const syncRef = doc(db, "clock_sync", uid);
+    const sentAt = Date.now();
+    await withTimeout(
+      setDoc(syncRef, { serverTime: serverTimestamp() }),
+      CLOCK_SYNC_TIMEOUT_MS,
+    );
+    const ackAt = Date.now();
+
+    const syncDoc = await withTimeout(getDocFromServer(syncRef), CLOCK_SYNC_TIMEOUT_MS);
+    const serverMs = syncDoc.data().serverTime.toMillis();
+
+    clockOffsetCache = {
+      offsetMs: Math.round(serverMs - (sentAt + ackAt) / 2),
+      roundTripMs: ackAt - sentAt,
+      measuredAt: ackAt,
+    };
+    localStorage.setItem(CLOCK_OFFSET_KEY, JSON.stringify(clockOffsetCache));
+    return { success: true, ...clockOffsetCache };
+  } catch (error) {
+    console.warn("Clock sync failed:", error.message);
+    return lastMeasurement();
+  }
+};
+
+/**
+ * Current time anchored to the last measured server clock offset
+ * @returns {number} Epoch milliseconds in server time
+ */
+export const getServerNow = () => Date.now() + (clockOffsetCache?.offsetMs || 0);
+
+/**
+ * Build a failed result for a QR error code
+ * @param {string} code - One of QR_ERROR_CODES
+ * @returns {object} { success: false, code, error }
+ */
+const qrRejection = (code) => ({
+  success: false,
+  code,
+  error: QR_ERROR_MESSAGES[code],
+});
+
+/**
+ * Check a student's position against a session geofence
+ * @param {object} geofence - Session geofence { latitude, longitude, radiusMeters }
+ * @param {object|null} location - Student position { latitude, longitude, accuracy }
+ * @returns {object} { inside, flag, distanceMeters }
+ */
+const evaluateGeofence = (geofence, location) => {
+  if (!location) {
+    return { inside: false, flag: LOCATION_FLAGS.UNAVAILABLE, distanceMeters: null };
+  }
+
+  const distanceMeters = Math.round(calculateDistanceMeters(geofence, location));
+  if (location.accuracy > GEOFENCE_CONFIG.MAX_ACCURACY_METERS) {
+    return { inside: false, flag: LOCATION_FLAGS.LOW_ACCURACY, distanceMeters };
+  }
+
+  // Give the student the benefit of the fix's uncertainty
+  const radius = geofence.radiusMeters || GEOFENCE_CONFIG.DEFAULT_RADIUS_METERS;
+  if (distanceMeters - location.accuracy > radius) {
+    return { inside: false, flag: LOCATION_FLAGS.OUTSIDE, distanceMeters };
+  }
+
+  return { inside: true, flag: null, distanceMeters };
+};
+
 // Attendance Functions
-export const createAttendanceSession = async (sessionData) => {
+/**
+ * Reserve an attendance session id without writing anything
+ *
+ * Ids are generated on the device, so a session started offline keeps the
+ * same id when it is created in Firestore later.
+ * @returns {string} New session document ID
+ */
+export const newAttendanceSessionId = () =>
+  doc(collection(db, "attendance_sessions")).id;
+
+/**
+ * Create an attendance session and its QR signing secret
+ * @param {object} sessionData - Session fields
+ * @param {object} options - { sessionId, secret } to create a session started offline
+ * @returns {Promise<object>} { success, sessionId, secret } or { success: false, error }
+ */
+export const createAttendanceSession = async (sessionData, options = {}) => {
   try {
-    const docRef = await addDoc(collection(db, "attendance_sessions"), {
+    const state = sessionData.state || SESSION_STATES.OPEN;
+    const sessionId = options.sessionId || newAttendanceSessionId();
+    const secret = options.secret || generateSessionSecret();
+    const createdAt = sessionData.createdAt || new Date();
+
+    // Session and secret land together so a session is never unverifiable
+    const batch = writeBatch(db);
+    batch.set(doc(db, "attendance_sessions", sessionId), {
       ...sessionData,
-      createdAt: new Date(),
-      isActive: true,
+      createdAt,
+      state,
+      isActive: state === SESSION_STATES.OPEN,
+      ...(state === SESSION_STATES.OPEN && { openedAt: createdAt }),
       qrCodeGenerated: true,
+      qrStepSeconds: QR_TOKEN_CONFIG.STEP_SECONDS,
       studentsPresent: [],
       totalStudents: 0,
+      periodCheckMode: sessionData.periodCheckMode || PERIOD_ATTENDANCE.DEFAULT_CHECK_MODE,
+      currentPeriod: 1,
+      periodStarts: [createdAt],
+    });
+
+    // Per-session signing secret, kept out of the session document
+    batch.set(doc(db, "session_secrets", sessionId), {
+      secret,
+      facultyId: sessionData.facultyId,
+      stepSeconds: QR_TOKEN_CONFIG.STEP_SECONDS,
+      createdAt: new Date(),
+    });
+    await batch.commit();
+
+    return { success: true, sessionId, secret };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the QR signing secret of a session
+ *
+ * Only the faculty who owns the session can read it.
+ * @param {string} sessionId - Attendance session ID
+ * @returns {Promise<object>} { success, secret, stepSeconds } or { success: false, error }
+ */
+export const getSessionSecret = async (sessionId) => {
+  try {
+    const secretDoc = await getDoc(doc(db, "session_secrets", sessionId));
+    if (!secretDoc.exists()) {
+      return { success: false, error: "Session secret not found" };
+    }
+    const { secret, stepSeconds } = secretDoc.data();
+    return { success: true, secret, stepSeconds };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Check a scanned QR token's rotation window and local replay history
+ *
+ * Students cannot read session secrets; the signature is recomputed by
+ * firestore.rules when the attendance record is written.
+ * @param {object} token - Token { sessionId, window, signature }
+ * @param {number} scannedAt - Epoch milliseconds when the token was scanned
+ * @returns {object} { success, window } or { success: false, code, error }
+ */
+export const verifyAttendanceToken = (token, scannedAt = getServerNow()) => {
+  const result = checkQRTokenWindow(token, {
+    now: scannedAt,
+    redeemedTokens: getRedeemedTokens(),
+  });
+  if (!result.valid) {
+    return qrRejection(result.code);
+  }
+  return { success: true, window: result.window };
+};
+
+/**
+ * Nonce ledger entry of a QR rotation window
+ * @param {string} sessionId - Attendance session ID
+ * @param {number} window - Rotation window index
+ * @returns {DocumentReference} Ledger document
+ */
+const getNonceLedgerRef = (sessionId, window) =>
+  doc(db, "attendance_sessions", sessionId, "nonce_ledger", String(window));
+
+/**
+ * Claim a scanned QR window for this device
+ *
+ * The first device to scan a window opens its nonce ledger entry on server
+ * time; other devices may join within RELAY_PROTECTION.TOLERANCE_MS. A new
+ * device scanning it later holds a relayed code, which is reported to the
+ * session's faculty and rejected. Online marks require the claim.
+ * @param {object} token - Token { sessionId, window, signature }
+ * @param {object} scan - { deviceId, studentName, facultyId }
+ * @returns {Promise<object>} { success } or { success: false, code, error }
+ */
+export const claimQrWindow = async (token, { deviceId, studentName, facultyId }) => {
+  try {
+    const studentId = auth.currentUser?.uid;
+    if (!studentId) {
+      return { success: false, error: "User not authenticated" };
+    }
+
+    const ledgerRef = getNonceLedgerRef(token.sessionId, token.window);
+    let firstUsedMs = null;
+    const outcome = await runTransaction(db, async (transaction) => {
+      const ledger = await transaction.get(ledgerRef);
+      if (!ledger.exists()) {
+        transaction.set(ledgerRef, {
+          window: token.window,
+          signature: token.signature,
+          firstUsedAt: serverTimestamp(),
+          firstDeviceId: deviceId,
+          deviceIds: [deviceId],
+          useCount: 1,
+        });
+        return { status: "claimed" };
+      }
+
+      const { deviceIds = [], firstUsedAt } = ledger.data();
+      firstUsedMs = firstUsedAt.toMillis();
+      if (deviceIds.includes(deviceId)) {
+        return { status: "claimed" };
+      }
+      if (getServerNow() - firstUsedMs > RELAY_PROTECTION.TOLERANCE_MS) {
+        return { status: "relayed" };
+      }
+      transaction.update(ledgerRef, {
+        deviceIds: arrayUnion(deviceId),
+        useCount: increment(1),
+      });
+      return { status: "claimed" };
+    }).catch((error) => {
+      // The rules refuse unsigned windows, and joins past the tolerance on
+      // server time even when this device's clock says otherwise
+      if (error.code === "permission-denied") {
+        return { status: firstUsedMs === null ? "denied" : "relayed" };
+      }
+      throw error;
     });
-    return { success: true, sessionId: docRef.id };
+
+    if (outcome.status === "denied") {
+      return qrRejection(QR_ERROR_CODES.MARK_DENIED);
+    }
+    if (outcome.status === "relayed") {
+      await addDoc(
+        collection(db, "attendance_sessions", token.sessionId, "relay_attempts"),
+        {
+          sessionId: token.sessionId,
+          facultyId,
+          studentId,
+          studentName,
+          deviceId,
+          window: token.window,
+          scannedAt: new Date(getWindowStart(token.window)),
+          firstUsedAt: new Date(firstUsedMs),
+          attemptedAt: serverTimestamp(),
+        },
+      );
+      return qrRejection(QR_ERROR_CODES.RELAYED);
+    }
+    return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 };
 
+/**
+ * When a session's lecture starts, for late marking
+ * @param {object} sessionData - Session document data
+ * @returns {number} Start time in ms
+ */
+const getSessionStartMillis = (sessionData) =>
+  sessionData.scheduledStart?.toMillis?.() ??
+  sessionData.openedAt?.toMillis?.() ??
+  sessionData.createdAt?.toMillis?.() ??
+  new Date(sessionData.createdAt).getTime();
+
+/**
+ * Attendance document id for a student in a session
+ *
+ * One id per pair makes repeat submissions land on the same document.
+ * @param {string} sessionId - Attendance session ID
+ * @param {string} studentId - Student UID
+ * @returns {string} Attendance document ID
+ */
+export const getAttendanceDocId = (sessionId, studentId) =>
+  `${sessionId}_${studentId}`;
+
 export const markAttendance = async (attendanceData) => {
   try {
-    // Add attendance record
-    await addDoc(collection(db, "attendance"), {
-      ...attendanceData,
-      timestamp: new Date(),
-      markedAt: new Date().toISOString(),
-      deviceInfo: navigator.userAgent,
-    });
+    const { qrToken, location, offlineCapture, ...recordData } = attendanceData;
 
-    // Update attendance session with student info
-    if (attendanceData.sessionId) {
-      const sessionRef = doc(
-        db,
-        "attendance_sessions",
-        attendanceData.sessionId,
+    // Verify the QR token before writing anything
+    if (!qrToken || qrToken.sessionId !== recordData.sessionId) {
+      return qrRejection(
+        qrToken ? QR_ERROR_CODES.SESSION_MISMATCH : QR_ERROR_CODES.MALFORMED,
       );
-      const sessionDoc = await getDoc(sessionRef);
-
-      if (sessionDoc.exists()) {
-        const sessionData = sessionDoc.data();
-        const studentsPresent = sessionData.studentsPresent || [];
-
-        // Add student if not already present
-        if (
-          !studentsPresent.some((s) => s.studentId === attendanceData.studentId)
-        ) {
-          studentsPresent.push({
-            studentId: attendanceData.studentId,
-            studentName: attendanceData.studentName,
-            markedAt: new Date(),
-            photoUrl: attendanceData.photoUrl,
-          });
+    }
 
-          await updateDoc(sessionRef, {
-            studentsPresent,
-            totalPresent: studentsPresent.length,
-            lastUpdated: new Date(),
-          });
-        }
+    // Judge time against the server clock, never the device clock alone.
+    // The capture time is the start of the token's rotation window, which
+    // the attendance rules check against the server time of the write.
+    const clock = await measureServerClockOffset();
+    if (!clock.success) {
+      return qrRejection(QR_ERROR_CODES.CLOCK_UNAVAILABLE);
+    }
+    const serverNow = Date.now() + clock.offsetMs;
+    const scanTime = getWindowStart(qrToken.window);
+    // Online, a token may be submitted up to MAX_SUBMIT_DELAY_MS after its
+    // last valid window (the photo step takes time)
+    const maxSubmitDelayMs = offlineCapture
+      ? OFFLINE_QUEUE.MAX_SYNC_DELAY_MS
+      : QR_TOKEN_CONFIG.MAX_SUBMIT_DELAY_MS +
+        (QR_TOKEN_CONFIG.GRACE_WINDOWS + 1) * QR_TOKEN_CONFIG.STEP_SECONDS * 1000;
+
+    if (
+      scanTime > serverNow + QR_TOKEN_CONFIG.STEP_SECONDS * 1000 ||
+      serverNow - scanTime > maxSubmitDelayMs
+    ) {
+      return qrRejection(QR_ERROR_CODES.EXPIRED);
+    }
+
+    const attendanceRef = doc(
+      db,
+      "attendance",
+      getAttendanceDocId(recordData.sessionId, recordData.studentId),
+    );
+    const existingRecord = await getDoc(attendanceRef);
+    const existing = existingRecord.exists() ? existingRecord.data() : null;
+    if (existing?.ejected) return qrRejection(QR_ERROR_CODES.MARK_REMOVED);
+    // An absentee record means the session was finalized without this scan
+    if (existing?.markedBy === "system") {
+      return qrRejection(QR_ERROR_CODES.SESSION_EXPIRED);
+    }
+    if (existing?.status === ATTENDANCE_STATUS.ABSENT) {
+      return { ...qrRejection(QR_ERROR_CODES.ALREADY_MARKED), alreadyMarked: true };
+    }
+
+    const sessionRef = doc(db, "attendance_sessions", recordData.sessionId);
+    let sessionDoc;
+    try {
+      sessionDoc = await getDoc(sessionRef);
+    } catch (error) {
+      // Students cannot read finalized sessions
+      if (error.code === "permission-denied") {
+        return qrRejection(QR_ERROR_CODES.SESSION_EXPIRED);
       }
+      throw error;
+    }
+    if (!sessionDoc.exists()) {
+      return qrRejection(QR_ERROR_CODES.SESSION_NOT_FOUND);
     }
 
-    return { success: true };
+    // The scan must land inside the session window; submission gets the
+    // same grace as the photo step so a slow upload is not penalised.
+    // Offline captures may arrive after closing but not after finalizing.
+    const sessionData = sessionDoc.data();
+    const state = getSessionState(sessionData);
+    const expiresAt = sessionData.expiresAt?.toMillis?.();
+    const acceptsMark = offlineCapture
+      ? state === SESSION_STATES.OPEN || state === SESSION_STATES.CLOSED
+      : state === SESSION_STATES.OPEN;
+    if (
+      !acceptsMark ||
+      (expiresAt &&
+        (scanTime > expiresAt ||
+          (!offlineCapture &&
+            serverNow > expiresAt + QR_TOKEN_CONFIG.MAX_SUBMIT_DELAY_MS)))
+    ) {
+      return qrRejection(QR_ERROR_CODES.SESSION_EXPIRED);
+    }
+
+    // In a multi-period session a student who already marked scans again in
+    // each later period. A scan counts for the period in progress, as the
+    // rules require; an offline capture for the period it was captured in.
+    const period = offlineCapture
+      ? getSessionPeriodAt(sessionData, scanTime)
+      : sessionData.currentPeriod || 1;
+    if (existing && (existing.periodsAttended || [1]).includes(period)) {
+      return { ...qrRejection(QR_ERROR_CODES.ALREADY_MARKED), alreadyMarked: true };
+    }
+
+    const tokenResult = await verifyAttendanceToken(qrToken, scanTime);
+    if (!tokenResult.success) {
+      return tokenResult;
+    }
+
+    // Combined sessions accept students from any of their batches; profiles
+    // without a batch are credited to the session's first batch
+    const profileDoc = await getDoc(doc(db, "profiles", recordData.studentId));
+    const profile = profileDoc.exists() ? profileDoc.data() : {};
+    const enrolledBatch = findEnrolledBatch(profile, sessionData);
+    if (!enrolledBatch && (profile.batchId || profile.batch)) {
+      return qrRejection(QR_ERROR_CODES.NOT_ENROLLED);
+    }
+    const recordBatch = enrolledBatch || getSessionBatches(sessionData)[0];
+
+    // Only registered devices may mark; unknown devices register up to the limit
+    const deviceResult = await registerDevice(recordData.studentId, recordData.deviceId);
+    if (!deviceResult.success) {
+      return { success: false, error: deviceResult.error };
+    }
+    if (deviceResult.status !== DEVICE_STATUS.APPROVED) {
+      return qrRejection(
+        deviceResult.status === DEVICE_STATUS.PENDING
+          ? QR_ERROR_CODES.DEVICE_PENDING
+          : QR_ERROR_CODES.DEVICE_REJECTED,
+      );
+    }
+
+    const config = await getSystemConfig();
+
+    // Classroom geofence: reject when enforced, otherwise flag for review
+    let locationData = {};
+    if (sessionData.geofence) {
+      const fence = evaluateGeofence(sessionData.geofence, location);
+      if (!fence.inside && config.requireLocationVerification) {
+        return qrRejection(
+          fence.flag === LOCATION_FLAGS.OUTSIDE
+            ? QR_ERROR_CODES.OUTSIDE_GEOFENCE
+            : QR_ERROR_CODES.LOCATION_UNAVAILABLE,
+        );
+      }
+      locationData = {
+        locationFlag: fence.flag,
+        distanceMeters: fence.distanceMeters,
+      };
+    }
+    if (location) {
+      locationData.location = new GeoPoint(location.latitude, location.longitude);
+      locationData.locationAccuracy = location.accuracy;
+    }
+
+    // A selfie matching one of the student's earlier ones goes to photo
+    // review; the check never blocks the mark itself
+    let photoReuse = null;
+    if (recordData.photoHash && !existing) {
+      try {
+        photoReuse = await findReusedPhoto(
+          recordData.studentId,
+          recordData.photoHash,
+          attendanceRef.id,
+          serverNow,
+        );
+      } catch (error) {
+        console.warn("Photo reuse check failed:", error.message);
+      }
+    }
+
+    // Late once the scan is past the threshold from the scheduled start
+    const lateData = getLateStatus(
+      scanTime,
+      getSessionStartMillis(sessionData),
+      getLatePolicy(config).thresholdMinutes,
+    );
+
+    // Record and session roll-up commit together; a second submission for
+    // the same student and period finds the record and changes nothing. The
+    // rules recompute the token signature and, for online scans, check the
+    // nonce ledger claim made when the code was scanned (the ledger itself
+    // is only readable while the window is current); a write they refuse
+    // fails here as a permission error.
+    const outcome = await runTransaction(db, async (transaction) => {
+      const current = await transaction.get(attendanceRef);
+      const currentRecord = current.exists() ? current.data() : null;
+      if (
+        currentRecord &&
+        (currentRecord.ejected ||
+          currentRecord.status === ATTENDANCE_STATUS.ABSENT ||
+          (currentRecord.periodsAttended || [1]).includes(period))
+      ) {
+        return { status: "exists" };
+      }
+
+      if (currentRecord) {
+        transaction.update(attendanceRef, {
+          periodsAttended: arrayUnion(period),
+          lastPeriodMarkedAt: serverTimestamp(),
+          lastPeriodQrWindow: tokenResult.window,
+          lastPeriodQrSignature: qrToken.signature,
+        });
+        return { status: "period" };
+      }
+
+      // Offline captures never claimed their window, so nothing shows the
+      // code was scanned in the room: they wait for faculty approval and
+      // take their present or late status only then
+      transaction.set(attendanceRef, {
+        ...recordData,
+        // Class details come from the session, which also fills them in for
+        // scans of sessions that were started offline
+        facultyId: sessionData.facultyId,
+        school: sessionData.schoolId || sessionData.school,
+        batch: recordBatch?.id ?? null,
+        batchName: recordBatch?.name ?? null,
+        subject: sessionData.subjectId || sessionData.subject,
+        periods: sessionData.periods ?? null,
+        periodsAttended: [period],
+        ...locationData,
+        ...lateData,
+        ...(offlineCapture && {
+          status: ATTENDANCE_STATUS.PENDING_REVIEW,
+          statusOnApproval: lateData.status,
+          offlineCapture: true,
+        }),
+        ...(photoReuse && { photoReuse }),
+        markedBy: "qr",
+        qrWindow: tokenResult.window,
+        qrSignature: qrToken.signature,
+        scannedAt: new Date(scanTime),
+        serverMarkedAt: serverTimestamp(),
+        clockSkewMs: clock.offsetMs,
+        timestamp: new Date(serverNow),
+        markedAt: new Date(serverNow).toISOString(),
+        deviceInfo: navigator.userAgent,
+      });
+      if (offlineCapture) return { status: "pending" };
+      transaction.update(sessionRef, {
+        studentsPresent: arrayUnion({
+          studentId: recordData.studentId,
+          studentName: recordData.studentName,
+          markedAt: new Date(serverNow),
+          photoUrl: recordData.photoUrl,
+        }),
+        totalPresent: increment(1),
+        lastUpdated: serverTimestamp(),
+      });
+      return { status: "created" };
+    }).catch((error) => {
+      if (error.code === "permission-denied") return { status: "denied" };
+      throw error;
+    });
+
+    if (outcome.status === "denied") {
+      return qrRejection(QR_ERROR_CODES.MARK_DENIED);
+    }
+    if (outcome.status === "exists") {
+      return { ...qrRejection(QR_ERROR_CODES.ALREADY_MARKED), alreadyMarked: true };
+    }
+    recordRedeemedToken(qrToken);
+
+    // Log the mark against this device once it is saved; faculty correlate
+    // the ledger with other students' marks when reviewing proxy alerts
+    try {
+      await recordDeviceActivity(
+        recordData.deviceId,
+        {
+          studentId: recordData.studentId,
+          studentName: recordData.studentName,
+          sessionId: recordData.sessionId,
+        },
+        serverNow,
+      );
+    } catch (error) {
+      console.warn("Device activity not recorded:", error.message);
+    }
+
+    if (outcome.status === "period") {
+      return { success: true, period, periodRescan: true };
+    }
+    if (outcome.status === "pending") {
+      return { success: true, period, pendingReview: true };
+    }
+    return { success: true, period, ...lateData };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -304,7 +1554,8 @@ export const saveQRCodeToStorage = async (qrCodeDataUrl, sessionId) => {
 
     // Upload to Firebase Storage
     const qrPath = `qr_codes/${sessionId}_${Date.now()}.png`;
-    const uploadResult = await uploadFile(blob, qrPath);
+    // QR codes stay lossless PNGs; JPEG artefacts hurt scanning
+    const uploadResult = await uploadFile(blob, qrPath, { raw: true });
 
     if (uploadResult.success) {
       // Update session document with QR code URL
@@ -340,7 +1591,7 @@ export const getActiveSessions = async (facultyId) => {
 
     snapshot.forEach((doc) => {
       const data = doc.data();
-      const now = new Date();
+      const now = new Date(getServerNow());
       const expiresAt =
         data.expiresAt?.toDate() ||
         new Date(data.createdAt.toDate().getTime() + 30000);
@@ -349,8 +1600,8 @@ export const getActiveSessions = async (facultyId) => {
       if (expiresAt > now) {
         sessions.push({ id: doc.id, ...data });
       } else {
-        // Auto-expire old sessions
-        updateDoc(doc.ref, { isActive: false });
+        // Auto-close expired sessions
+        closeSession(doc.id);
       }
     });
 
@@ -372,27 +1623,535 @@ export const getSessionDetails = async (sessionId) => {
         data: { id: sessionDoc.id, ...sessionDoc.data() },
       };
     } else {
-      return { success: false, error: "Session not found" };
+      return { success: false, notFound: true, error: "Session not found" };
     }
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, offline: error.code === "unavailable", error: error.message };
   }
 };
 
-// Deactivate Session
-export const deactivateSession = async (sessionId) => {
+/**
+ * Subscribe to live updates of a session document
+ * @param {string} sessionId - Attendance session ID
+ * @param {Function} callback - Called with the session data, or null if it does not exist
+ * @param {Function} onError - Called with an error message when the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSession = (sessionId, callback, onError) => {
+  return onSnapshot(
+    doc(db, "attendance_sessions", sessionId),
+    (sessionDoc) => {
+      callback(sessionDoc.exists() ? { id: sessionDoc.id, ...sessionDoc.data() } : null);
+    },
+    (error) => onError?.(error.message),
+  );
+};
+
+/**
+ * Subscribe to the relay attempts blocked for a session
+ * @param {string} sessionId - Attendance session ID
+ * @param {string} facultyId - Session owner; the rules only allow their attempts
+ * @param {Function} callback - Called with the blocked attempts
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToRelayAttempts = (sessionId, facultyId, callback) =>
+  onSnapshot(
+    query(
+      collection(db, "attendance_sessions", sessionId, "relay_attempts"),
+      where("facultyId", "==", facultyId),
+    ),
+    (snapshot) =>
+      callback(snapshot.docs.map((attemptDoc) => ({ id: attemptDoc.id, ...attemptDoc.data() }))),
+    (error) => console.error("❌ Relay attempts listener failed:", error),
+  );
+
+/**
+ * Subscribe to the attendance records of a session as they are marked
+ * @param {string} sessionId - Attendance session ID
+ * @param {Function} callback - Called with the records, earliest mark first
+ * @param {Function} onError - Called with an error message when the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSessionAttendance = (sessionId, callback, onError) =>
+  onSnapshot(
+    query(collection(db, "attendance"), where("sessionId", "==", sessionId)),
+    (snapshot) => {
+      const records = snapshot.docs.map((recordDoc) => ({
+        id: recordDoc.id,
+        ...recordDoc.data(),
+      }));
+      records.sort(
+        (a, b) => (a.timestamp?.toMillis?.() || 0) - (b.timestamp?.toMillis?.() || 0),
+      );
+      callback(records);
+    },
+    (error) => onError?.(error.message),
+  );
+
+/**
+ * Eject a student's mark from a session that has not been finalized
+ *
+ * The record is kept as absent and flagged ejected, so the student cannot
+ * scan again, and the session roll-up drops the student.
+ * @param {string} sessionId - Attendance session ID
+ * @param {string} studentId - Student UID
+ * @param {object} reviewer - { uid, name } of the faculty ejecting the mark
+ * @returns {Promise<object>} { success } or { success: false, error }
+ */
+export const ejectAttendanceMark = async (sessionId, studentId, reviewer) => {
   try {
     const sessionRef = doc(db, "attendance_sessions", sessionId);
-    await updateDoc(sessionRef, {
-      isActive: false,
-      deactivatedAt: new Date(),
+    const attendanceRef = doc(db, "attendance", getAttendanceDocId(sessionId, studentId));
+
+    await runTransaction(db, async (transaction) => {
+      const [sessionDoc, recordDoc] = await Promise.all([
+        transaction.get(sessionRef),
+        transaction.get(attendanceRef),
+      ]);
+      if (!sessionDoc.exists()) throw new Error("Session not found");
+      if (getSessionState(sessionDoc.data()) === SESSION_STATES.FINALIZED) {
+        throw new Error("Session is already finalized");
+      }
+      if (!recordDoc.exists() || recordDoc.data().ejected) {
+        throw new Error("No attendance mark to eject");
+      }
+
+      const record = recordDoc.data();
+      transaction.update(attendanceRef, {
+        status: ATTENDANCE_STATUS.ABSENT,
+        previousStatus: record.status || ATTENDANCE_STATUS.PRESENT,
+        ejected: true,
+        ejectedBy: reviewer.uid,
+        ejectedByName: reviewer.name || null,
+        ejectedAt: serverTimestamp(),
+      });
+
+      const session = sessionDoc.data();
+      const studentsPresent = (session.studentsPresent || []).filter(
+        (entry) => entry.studentId !== studentId,
+      );
+      transaction.update(sessionRef, {
+        studentsPresent,
+        totalPresent: Math.max(0, (session.totalPresent ?? studentsPresent.length + 1) - 1),
+        lastUpdated: serverTimestamp(),
+      });
     });
+
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 };
 
+/**
+ * Start the next period of a multi-period session
+ *
+ * Only an open session moves on; closed and finalized sessions are refused
+ * by transitionSession. The boundary time is recorded so each scan counts
+ * for the period it was captured in. In re-scan mode the QR window opens
+ * again briefly so students who already marked scan again.
+ * @param {string} sessionId - Attendance session ID
+ * @returns {Promise<object>} { success, period, expiresAt } or { success: false, error }
+ */
+export const advanceSessionPeriod = async (sessionId) => {
+  const result = await transitionSession(
+    sessionId,
+    SESSION_STATES.OPEN,
+    (session) => {
+      const period = (session.currentPeriod || 1) + 1;
+      if (period > (Number(session.periods) || 1)) {
+        throw new Error("All periods of this session have started");
+      }
+
+      const now = new Date(getServerNow());
+      const rescan =
+        (session.periodCheckMode || PERIOD_ATTENDANCE.DEFAULT_CHECK_MODE) ===
+        PERIOD_CHECK_MODES.RESCAN;
+      return {
+        currentPeriod: period,
+        periodStarts: arrayUnion(now),
+        ...(rescan && {
+          expiresAt: new Date(now.getTime() + PERIOD_ATTENDANCE.RESCAN_WINDOW_MS),
+        }),
+        lastUpdated: serverTimestamp(),
+      };
+    },
+    { from: [SESSION_STATES.OPEN] },
+  );
+  if (!result.success) return result;
+
+  return {
+    success: true,
+    period: result.data.currentPeriod,
+    expiresAt: result.data.expiresAt || null,
+  };
+};
+
+/**
+ * Confirm that students are present for a period, for sessions that check
+ * later periods by faculty confirmation instead of a re-scan
+ * @param {string} sessionId - Attendance session ID
+ * @param {Array} studentIds - UIDs of students seen in the period
+ * @param {number} period - Period number, 1-based
+ * @returns {Promise<object>} { success, count } or { success: false, error }
+ */
+export const confirmPeriodAttendance = async (sessionId, studentIds, period) => {
+  try {
+    const batch = writeBatch(db);
+    studentIds.forEach((studentId) => {
+      batch.update(doc(db, "attendance", getAttendanceDocId(sessionId, studentId)), {
+        periodsAttended: arrayUnion(period),
+        lastPeriodMarkedAt: serverTimestamp(),
+      });
+    });
+    await batch.commit();
+    return { success: true, count: studentIds.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Relay attempts blocked across a faculty member's sessions
+ * @param {string} facultyId - Faculty UID
+ * @returns {Promise<object>} { success, data } or { success: false, error }
+ */
+export const getBlockedRelayAttempts = async (facultyId) => {
+  try {
+    const snapshot = await getDocs(
+      query(collectionGroup(db, "relay_attempts"), where("facultyId", "==", facultyId)),
+    );
+    const attempts = snapshot.docs.map((attemptDoc) => ({
+      id: attemptDoc.id,
+      ...attemptDoc.data(),
+    }));
+    attempts.sort(
+      (a, b) => (b.attemptedAt?.toMillis?.() || 0) - (a.attemptedAt?.toMillis?.() || 0),
+    );
+    return { success: true, data: attempts };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+// Session Lifecycle
+/**
+ * Current lifecycle state of a session document
+ * Sessions created before explicit states only carry isActive.
+ * @param {object} sessionData - Session document data
+ * @returns {string} One of SESSION_STATES
+ */
+export const getSessionState = (sessionData) => {
+  if (sessionData.state) return sessionData.state;
+  return sessionData.isActive ? SESSION_STATES.OPEN : SESSION_STATES.CLOSED;
+};
+
+/**
+ * Move a session to a new lifecycle state
+ *
+ * `options.from` replaces SESSION_TRANSITIONS with the states the session
+ * must be in, which lets a step keep a session in its state (an open session
+ * starting its next period); the state's timestamp is only set on a change.
+ * @param {string} sessionId - Attendance session ID
+ * @param {string} nextState - Target state from SESSION_STATES
+ * @param {object|Function} extraData - Additional fields to write with the
+ *   transition, or a function of the current session data returning them
+ *   (it may throw to refuse the transition)
+ * @param {object} options - { from: states the session must be in }
+ * @returns {Promise<object>} { success, state, data } or { success: false, error }
+ */
+const transitionSession = async (sessionId, nextState, extraData = {}, options = {}) => {
+  try {
+    const sessionRef = doc(db, "attendance_sessions", sessionId);
+
+    const data = await runTransaction(db, async (transaction) => {
+      const sessionDoc = await transaction.get(sessionRef);
+      if (!sessionDoc.exists()) {
+        throw new Error("Session not found");
+      }
+
+      const session = sessionDoc.data();
+      const currentState = getSessionState(session);
+      const allowed = options.from
+        ? options.from.includes(currentState)
+        : SESSION_TRANSITIONS[currentState]?.includes(nextState);
+      if (!allowed) {
+        throw new Error(`Cannot move session from ${currentState} to ${nextState}`);
+      }
+
+      const fields = typeof extraData === "function" ? extraData(session) : extraData;
+      transaction.update(sessionRef, {
+        ...fields,
+        state: nextState,
+        isActive: nextState === SESSION_STATES.OPEN,
+        ...(currentState !== nextState && { [`${nextState}At`]: new Date() }),
+      });
+      return fields;
+    });
+
+    return { success: true, state: nextState, data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Open a scheduled or closed session for marking
+ * @param {string} sessionId - Attendance session ID
+ * @returns {Promise<object>} Transition result
+ */
+export const openSession = (sessionId) =>
+  transitionSession(sessionId, SESSION_STATES.OPEN);
+
+/**
+ * Stop a session from accepting marks
+ * @param {string} sessionId - Attendance session ID
+ * @returns {Promise<object>} Transition result
+ */
+export const closeSession = (sessionId) =>
+  transitionSession(sessionId, SESSION_STATES.CLOSED);
+
+/**
+ * Finalize a session, writing absent records for rostered students who did not mark
+ * An open session is closed first.
+ * @param {string} sessionId - Attendance session ID
+ * @returns {Promise<object>} { success, absentCount, presentCount } or { success: false, error }
+ */
+export const finalizeSession = async (sessionId) => {
+  try {
+    const sessionRef = doc(db, "attendance_sessions", sessionId);
+    const sessionDoc = await getDoc(sessionRef);
+    if (!sessionDoc.exists()) {
+      return { success: false, error: "Session not found" };
+    }
+
+    const session = sessionDoc.data();
+    const state = getSessionState(session);
+    if (state === SESSION_STATES.FINALIZED) {
+      return { success: false, error: "Session is already finalized" };
+    }
+    if (state !== SESSION_STATES.CLOSED) {
+      const closeResult = await closeSession(sessionId);
+      if (!closeResult.success) return closeResult;
+    }
+
+    // A combined session's roster is every batch it covers
+    const schoolId = session.schoolId || session.school;
+    const roster = [];
+    const batchTotals = {};
+    for (const batch of getSessionBatches(session)) {
+      const rosterResult = await academicDataService.getStudentsByBatch(schoolId, batch.id);
+      if (!rosterResult.success) {
+        return { success: false, error: rosterResult.error };
+      }
+      batchTotals[batch.id] = rosterResult.data.length;
+      roster.push(...rosterResult.data.map((student) => ({ ...student, sessionBatch: batch })));
+    }
+
+    const marksSnapshot = await getDocs(
+      query(collection(db, "attendance"), where("sessionId", "==", sessionId)),
+    );
+    const records = marksSnapshot.docs.map((d) => d.data());
+    const markedIds = new Set(records.map((record) => record.studentId));
+    const absentees = roster.filter((student) => !markedIds.has(student.id));
+    // Count by status: ejected marks and absentees written by an earlier,
+    // interrupted finalize already hold an absent record
+    const presentCount = records.filter(
+      (record) =>
+        record.status === ATTENDANCE_STATUS.PRESENT ||
+        record.status === ATTENDANCE_STATUS.LATE,
+    ).length;
+    const recordedAbsent = records.filter(
+      (record) => record.status === ATTENDANCE_STATUS.ABSENT,
+    ).length;
+
+    // Absent records are create-only: a student whose mark lands while this
+    // runs keeps it. Transactions are capped at 500 writes.
+    let absentCount = recordedAbsent;
+    for (let i = 0; i < absentees.length; i += 450) {
+      absentCount += await runTransaction(db, async (transaction) => {
+        const chunk = absentees.slice(i, i + 450).map((student) => ({
+          student,
+          ref: doc(db, "attendance", getAttendanceDocId(sessionId, student.id)),
+        }));
+        const existing = await Promise.all(chunk.map(({ ref }) => transaction.get(ref)));
+        const missing = chunk.filter((_, index) => !existing[index].exists());
+        missing.forEach(({ student, ref }) => {
+          transaction.set(ref, {
+            sessionId,
+            studentId: student.id,
+            studentName: student.fullName,
+            regNumber: student.regNumber || null,
+            facultyId: session.facultyId,
+            school: schoolId,
+            batch: student.sessionBatch.id,
+            batchName: student.sessionBatch.name,
+            subject: session.subjectId || session.subject,
+            periods: session.periods,
+            status: ATTENDANCE_STATUS.ABSENT,
+            markedBy: "system",
+            timestamp: new Date(),
+          });
+        });
+        return missing.length;
+      });
+    }
+
+    const result = await transitionSession(sessionId, SESSION_STATES.FINALIZED, {
+      totalStudents: roster.length,
+      batchTotals,
+      presentCount,
+      absentCount,
+    });
+    if (!result.success) return result;
+
+    return { success: true, presentCount, absentCount };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+// Deactivate Session (kept for existing callers)
+export const deactivateSession = closeSession;
+
+// Attendance Reports
+/**
+ * Per-session attendance report for a faculty member
+ *
+ * Late marks are credited according to system_config.lateCreditPolicy.
+ * @param {string} facultyId - Faculty UID
+ * @param {object} filters - { school, batch, subject, startDate, endDate } (ids or names)
+ * @returns {Promise<object>} { success, data, policy } or { success: false, error }
+ */
+export const getAttendanceReport = async (facultyId, filters = {}) => {
+  try {
+    const policy = getLatePolicy(await getSystemConfig());
+    const [sessionsSnapshot, recordsSnapshot] = await Promise.all([
+      getDocs(
+        query(
+          collection(db, "attendance_sessions"),
+          where("facultyId", "==", facultyId),
+        ),
+      ),
+      getDocs(
+        query(collection(db, "attendance"), where("facultyId", "==", facultyId)),
+      ),
+    ]);
+
+    const recordsBySession = {};
+    recordsSnapshot.forEach((recordDoc) => {
+      const record = recordDoc.data();
+      (recordsBySession[record.sessionId] ||= []).push(record);
+    });
+
+    const matches = (filter, id, name) => !filter || filter === id || filter === name;
+    const startMs = filters.startDate ? new Date(filters.startDate).getTime() : null;
+    const endMs = filters.endDate
+      ? new Date(filters.endDate).getTime() + 24 * 60 * 60 * 1000
+      : null;
+
+    const rows = [];
+    sessionsSnapshot.forEach((sessionDoc) => {
+      const session = sessionDoc.data();
+      const date = session.createdAt?.toDate?.() || new Date(session.createdAt);
+      if (
+        !matches(filters.school, session.school, session.schoolName) ||
+        !matches(filters.subject, session.subject, session.subjectName) ||
+        (filters.timetableSlotId && session.timetableSlotId !== filters.timetableSlotId) ||
+        (startMs && date.getTime() < startMs) ||
+        (endMs && date.getTime() >= endMs)
+      ) {
+        return;
+      }
+
+      // Combined sessions are split into one row per batch
+      const batches = getSessionBatches(session);
+      const combined = batches.length > 1;
+      const records = recordsBySession[sessionDoc.id] || [];
+      batches.forEach((batch) => {
+        if (!matches(filters.batch, batch.id, batch.name)) return;
+
+        const batchRecords = combined
+          ? records.filter((record) => record.batch === batch.id || record.batch === batch.name)
+          : records;
+        const summary = summarizeAttendance(batchRecords, policy);
+        const expected = combined
+          ? session.batchTotals?.[batch.id]
+          : session.totalStudents;
+        rows.push({
+          id: combined ? `${sessionDoc.id}_${batch.id}` : sessionDoc.id,
+          sessionId: sessionDoc.id,
+          date,
+          school: session.schoolName || session.school,
+          batch: batch.name,
+          combined,
+          subject: session.subjectName || session.subject,
+          timetableSlotId: session.timetableSlotId || null,
+          room: session.room || null,
+          state: getSessionState(session),
+          totalStudents: Math.max(expected || 0, summary.total),
+          presentStudents: summary.present,
+          lateStudents: summary.late,
+          absentStudents: summary.absent,
+          periods: Number(session.periods) || 1,
+          percentage: summary.percentage,
+        });
+      });
+    });
+
+    rows.sort((a, b) => b.date - a.date);
+    return { success: true, data: rows, policy };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Overall and per-subject attendance for one student
+ *
+ * Late marks are credited according to system_config.lateCreditPolicy and
+ * multi-period sessions are weighted by the periods attended.
+ * @param {string} studentId - Student UID
+ * @returns {Promise<object>} { success, data: { overall, late, subjects } } or { success: false, error }
+ */
+export const getStudentAttendanceSummary = async (studentId) => {
+  try {
+    const policy = getLatePolicy(await getSystemConfig());
+    const snapshot = await getDocs(
+      query(collection(db, "attendance"), where("studentId", "==", studentId)),
+    );
+
+    const records = snapshot.docs.map((recordDoc) => recordDoc.data());
+    const recordsBySubject = {};
+    records.forEach((record) => {
+      const subject = record.subjectName || record.subject || "Other";
+      (recordsBySubject[subject] ||= []).push(record);
+    });
+
+    const overall = summarizeAttendance(records, policy);
+    const subjects = Object.entries(recordsBySubject).map(([name, subjectRecords]) => {
+      const summary = summarizeAttendance(subjectRecords, policy);
+      return {
+        name,
+        percentage: summary.percentage,
+        present: summary.present,
+        late: summary.late,
+        total: summary.total,
+        periodsAttended: summary.periodsAttended,
+        periodsTotal: summary.periodsTotal,
+      };
+    });
+
+    return {
+      success: true,
+      data: { overall: overall.percentage, late: overall.late, subjects },
+      policy,
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
 // Validation Functions
 export const validateEmailRole = (email, role) => {
   const studentRegex = /@pwioi\.com$/i;
@@ -416,24 +2175,23 @@ export const isMobileDevice = () => {
 };
 
 // Device ID Generation
-export const generateDeviceId = () => {
-  const canvas = document.createElement("canvas");
-  const ctx = canvas.getContext("2d");
-  ctx.textBaseline = "top";
-  ctx.font = "14px Arial";
-  ctx.fillText("Device fingerprint", 2, 2);
-
-  const fingerprint =
-    canvas.toDataURL() + navigator.userAgent + screen.width + screen.height;
+const DEVICE_ID_KEY = "device_id";
 
-  let hash = 0;
-  for (let i = 0; i < fingerprint.length; i++) {
-    const char = fingerprint.charCodeAt(i);
-    hash = (hash << 5) - hash + char;
-    hash = hash & hash;
+/**
+ * ID of this app install, used to register devices and correlate marks
+ *
+ * A random ID is created on first use and kept in localStorage, so two
+ * identical phones never share one. Clearing site data makes a new ID,
+ * which registers as a new device.
+ * @returns {string} Device ID
+ */
+export const generateDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
   }
-
-  return Math.abs(hash).toString();
+  return deviceId;
 };
 
 export const provider = new GoogleAuthProvider();
@@ -706,3 +2464,78 @@ export const academicDataService = {
     }
   },
 };
+
+// Faculty Timetable
+export const timetableService = {
+  /**
+   * Get a faculty member's weekly timetable
+   * @param {string} facultyId - Faculty UID
+   * @returns {Promise<object>} Slots ordered by weekday (Monday first) and start time
+   */
+  getFacultyTimetable: async (facultyId) => {
+    try {
+      const snapshot = await getDocs(
+        query(
+          collection(db, TIMETABLE_CONFIG.COLLECTION),
+          where("facultyId", "==", facultyId),
+        ),
+      );
+      const slots = snapshot.docs.map((slotDoc) => ({ id: slotDoc.id, ...slotDoc.data() }));
+      const dayOrder = (weekday) => (Number(weekday) + 6) % 7;
+      slots.sort(
+        (a, b) =>
+          dayOrder(a.weekday) - dayOrder(b.weekday) ||
+          timeOfDayToMinutes(a.startTime) - timeOfDayToMinutes(b.startTime),
+      );
+      return { success: true, data: slots };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Create a slot, or update it when it has an id
+   * @param {object} slot - { id?, facultyId, weekday, startTime, endTime, room, school, batch, subject, periods }
+   * @returns {Promise<object>} { success, id } or { success: false, error }
+   */
+  saveSlot: async ({ id, ...slot }) => {
+    try {
+      if (timeOfDayToMinutes(slot.endTime) <= timeOfDayToMinutes(slot.startTime)) {
+        return { success: false, error: "End time must be after start time" };
+      }
+
+      const slotData = {
+        ...slot,
+        weekday: Number(slot.weekday),
+        periods: parseInt(slot.periods),
+        updatedAt: serverTimestamp(),
+      };
+      if (id) {
+        await updateDoc(doc(db, TIMETABLE_CONFIG.COLLECTION, id), slotData);
+        return { success: true, id };
+      }
+
+      const slotRef = await addDoc(collection(db, TIMETABLE_CONFIG.COLLECTION), {
+        ...slotData,
+        createdAt: serverTimestamp(),
+      });
+      return { success: true, id: slotRef.id };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Delete a slot; sessions keep their timetableSlotId for reporting
+   * @param {string} slotId - Slot document ID
+   * @returns {Promise<object>} { success } or { success: false, error }
+   */
+  deleteSlot: async (slotId) => {
+    try {
+      await deleteDoc(doc(db, TIMETABLE_CONFIG.COLLECTION, slotId));
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+};
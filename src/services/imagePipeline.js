@@ -0,0 +1,111 @@
+/**
+ * Image Processing Pipeline
+ *
+ * Prepares photos on the device before they are uploaded: the image is
+ * turned upright from its EXIF orientation, scaled down to the preset's
+ * MAX_DIMENSION and re-encoded as JPEG, which leaves the EXIF metadata
+ * (camera, GPS position, timestamps) behind. A small thumbnail is produced
+ * from the same decode.
+ *
+ * Presets live in IMAGE_PROCESSING (src/utils/constants.js). Uploading is
+ * done by uploadImage in services/firebase.js; this module has no Firebase
+ * dependencies.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import { IMAGE_PROCESSING } from '../utils/constants';
+
+/**
+ * Whether a file can go through the pipeline
+ * @param {Blob} file - File or blob to upload
+ * @returns {boolean} True for raster images the browser can decode
+ */
+export const isProcessableImage = (file) =>
+  Boolean(file?.type?.startsWith('image/')) && file.type !== 'image/svg+xml';
+
+/**
+ * Decode an image, applying its EXIF orientation
+ * @param {Blob} file - Image file
+ * @returns {Promise<ImageBitmap>} Upright bitmap
+ */
+const decodeImage = (file) => createImageBitmap(file, { imageOrientation: 'from-image' });
+
+/**
+ * Draw a bitmap scaled to fit a maximum dimension and encode it
+ * @param {ImageBitmap} bitmap - Decoded image
+ * @param {object} preset - { MAX_DIMENSION, QUALITY }
+ * @returns {Promise<object>} { blob, width, height }
+ */
+const encodeScaled = (bitmap, preset) => {
+  const scale = Math.min(1, preset.MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; flatten onto white rather than black
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(bitmap, 0, 0, width, height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve({ blob, width, height }) : reject(new Error('Could not encode the image'))),
+      IMAGE_PROCESSING.OUTPUT_TYPE,
+      preset.QUALITY
+    );
+  });
+};
+
+/**
+ * Resize, re-encode and thumbnail an image
+ * @param {Blob} file - Image file or captured blob
+ * @param {object} preset - One of the IMAGE_PROCESSING presets
+ * @returns {Promise<object>} { success, image, thumbnail, width, height } or { success: false, error }
+ */
+export const processImage = async (file, preset = IMAGE_PROCESSING.ATTENDANCE_PHOTO) => {
+  if (!isProcessableImage(file)) {
+    return { success: false, error: 'Only images can be processed' };
+  }
+
+  try {
+    const bitmap = await decodeImage(file);
+    try {
+      const [image, thumbnail] = await Promise.all([
+        encodeScaled(bitmap, preset),
+        encodeScaled(bitmap, IMAGE_PROCESSING.THUMBNAIL)
+      ]);
+      return {
+        success: true,
+        image: image.blob,
+        thumbnail: thumbnail.blob,
+        width: image.width,
+        height: image.height
+      };
+    } finally {
+      bitmap.close();
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Storage path of the thumbnail for an image path
+ * @param {string} path - Storage path of the full image
+ * @returns {string} Path with the thumbnail suffix before the extension
+ */
+export const getThumbnailPath = (path) => {
+  const base = path.replace(/\.[^./]+$/, '');
+  return `${base}${IMAGE_PROCESSING.THUMBNAIL_SUFFIX}.jpg`;
+};
+
+export default {
+  isProcessableImage,
+  processImage,
+  getThumbnailPath
+};
@@ -0,0 +1,347 @@
+/**
+ * Liveness Check Service
+ *
+ * Runs a short randomised challenge on the selfie video before the
+ * attendance photo is taken, so a printed photo or a saved selfie held up
+ * to the camera does not pass. Everything is evaluated on the device.
+ *
+ * Evaluation:
+ * - With the Shape Detection API (FaceDetector) the face box is tracked:
+ *   turning the head shifts or narrows it, moving closer grows it, and a
+ *   blink shows as a dip and recovery of contrast across the eye band
+ * - Without it, frames are compared with the first ones and the change
+ *   must match the challenge: the picture shifts sideways for a head turn,
+ *   it scales up about the centre for moving closer, and for a blink the
+ *   eye band changes and settles back while the lower face stays still.
+ *   Nothing shows the motion came from a face (waving a printed photo can
+ *   pass), so these results are returned unverified and the mark goes to
+ *   faculty photo review
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import { LIVENESS, LIVENESS_CHALLENGES } from '../utils/constants';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Pick a challenge at random
+ * @returns {string} One of LIVENESS_CHALLENGES
+ */
+export const pickLivenessChallenge = () => {
+  const challenges = Object.values(LIVENESS_CHALLENGES);
+  const values = crypto.getRandomValues(new Uint32Array(1));
+  return challenges[values[0] % challenges.length];
+};
+
+/**
+ * Create a face detector if the browser has one
+ * @returns {object|null} FaceDetector instance
+ */
+const createFaceDetector = () => {
+  if (typeof window === 'undefined' || !('FaceDetector' in window)) return null;
+  try {
+    return new window.FaceDetector({ fastMode: true, maxDetectedFaces: 1 });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Grey pixels of the current video frame, scaled down for analysis
+ * @param {HTMLVideoElement} video - Playing video element
+ * @param {CanvasRenderingContext2D} context - Analysis canvas context
+ * @returns {object} { pixels, width, height }
+ */
+const readFrame = (video, context) => {
+  const { width, height } = context.canvas;
+  context.drawImage(video, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+  const pixels = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return { pixels, width, height };
+};
+
+/**
+ * Standard deviation of grey levels inside a rectangle
+ * @param {object} frame - { pixels, width, height }
+ * @param {object} rect - { x, y, width, height } in frame pixels
+ * @returns {number} Contrast of the region
+ */
+const regionContrast = (frame, rect) => {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  const x0 = Math.max(0, Math.floor(rect.x));
+  const y0 = Math.max(0, Math.floor(rect.y));
+  const x1 = Math.min(frame.width, Math.ceil(rect.x + rect.width));
+  const y1 = Math.min(frame.height, Math.ceil(rect.y + rect.height));
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const value = frame.pixels[y * frame.width + x];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+  if (!count) return 0;
+  const mean = sum / count;
+  return Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+};
+
+/**
+ * Mean grey-level change between two frames inside a rectangle
+ * @param {object} a - Frame { pixels, width, height }
+ * @param {object} b - Frame of the same size
+ * @param {object} rect - { x, y, width, height } as fractions of the frame
+ * @returns {number} Average absolute difference
+ */
+export const regionMotion = (a, b, rect) => {
+  let total = 0;
+  let count = 0;
+  const x0 = Math.floor(rect.x * a.width);
+  const y0 = Math.floor(rect.y * a.height);
+  const x1 = Math.ceil((rect.x + rect.width) * a.width);
+  const y1 = Math.ceil((rect.y + rect.height) * a.height);
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      total += Math.abs(a.pixels[y * a.width + x] - b.pixels[y * a.width + x]);
+      count++;
+    }
+  }
+  return count ? total / count : 0;
+};
+
+/**
+ * Mean grey level of each column across the middle half of the rows
+ * @param {object} frame - { pixels, width, height }
+ * @returns {number[]} One value per column
+ */
+const columnProfile = (frame) => {
+  const profile = new Array(frame.width).fill(0);
+  const y0 = Math.floor(frame.height / 4);
+  const y1 = Math.ceil((frame.height * 3) / 4);
+  for (let y = y0; y < y1; y++) {
+    for (let x = 0; x < frame.width; x++) {
+      profile[x] += frame.pixels[y * frame.width + x] / (y1 - y0);
+    }
+  }
+  return profile;
+};
+
+/**
+ * Mean difference between a profile and a transformed copy of another
+ * @param {number[]} base - Profile of the first frame
+ * @param {number[]} current - Profile of the new frame
+ * @param {Function} source - Maps a position in current to one in base
+ * @returns {number} Average absolute difference over the overlap
+ */
+const profileDifference = (base, current, source) => {
+  let total = 0;
+  let count = 0;
+  // Edges are left out: they enter and leave the picture as it moves
+  for (let x = Math.floor(current.length / 8); x < (current.length * 7) / 8; x++) {
+    const from = Math.round(source(x));
+    if (from < 0 || from >= base.length) continue;
+    total += Math.abs(base[from] - current[x]);
+    count++;
+  }
+  return count ? total / count : Infinity;
+};
+
+/**
+ * Horizontal shift that best lines a frame up with the baseline
+ * @param {object} base - Baseline frame
+ * @param {object} frame - Frame of the same size
+ * @returns {number} Shift as a fraction of the frame width
+ */
+export const estimateShift = (base, frame) => {
+  const baseProfile = columnProfile(base);
+  const profile = columnProfile(frame);
+  const maxShift = Math.floor(frame.width / 4);
+  let best = { shift: 0, difference: profileDifference(baseProfile, profile, x => x) };
+  for (let shift = -maxShift; shift <= maxShift; shift++) {
+    const difference = profileDifference(baseProfile, profile, x => x - shift);
+    if (difference < best.difference) best = { shift, difference };
+  }
+  return best.shift / frame.width;
+};
+
+/**
+ * Scale about the centre that best lines a frame up with the baseline
+ * @param {object} base - Baseline frame
+ * @param {object} frame - Frame of the same size
+ * @returns {number} Growth factor, 1 when the picture has not grown
+ */
+export const estimateGrowth = (base, frame) => {
+  const baseProfile = columnProfile(base);
+  const profile = columnProfile(frame);
+  const centre = frame.width / 2;
+  let best = { growth: 1, difference: profileDifference(baseProfile, profile, x => x) };
+  for (let growth = 1.05; growth <= 2; growth += 0.05) {
+    const difference = profileDifference(baseProfile, profile, x => centre + (x - centre) / growth);
+    if (difference < best.difference) best = { growth, difference };
+  }
+  return best.growth;
+};
+
+// Where the eyes and the lower face sit in a selfie framed on the face
+const EYE_BAND = { x: 0.25, y: 0.25, width: 0.5, height: 0.2 };
+const LOWER_FACE = { x: 0.25, y: 0.55, width: 0.5, height: 0.25 };
+
+/**
+ * Whether frame changes from the baseline match a challenge, without face
+ * detection
+ * @param {string} challenge - One of LIVENESS_CHALLENGES
+ * @param {object} base - Baseline frame
+ * @param {object} frame - Current frame
+ * @param {object} state - Carried between frames; { eyesMoved } for blinks
+ * @returns {boolean} True once the challenge is met
+ */
+export const matchesMotionChallenge = (challenge, base, frame, state) => {
+  switch (challenge) {
+    case LIVENESS_CHALLENGES.TURN_HEAD:
+      return Math.abs(estimateShift(base, frame)) >= LIVENESS.TURN_SHIFT;
+    case LIVENESS_CHALLENGES.MOVE_CLOSER:
+      return estimateGrowth(base, frame) >= LIVENESS.CLOSER_GROWTH;
+    case LIVENESS_CHALLENGES.BLINK: {
+      // Only the eyes change, then they open again
+      const eyeMotion = regionMotion(base, frame, EYE_BAND);
+      const lowerMotion = regionMotion(base, frame, LOWER_FACE);
+      if (eyeMotion >= LIVENESS.MOTION_THRESHOLD && lowerMotion <= eyeMotion / 2) {
+        state.eyesMoved = true;
+        return false;
+      }
+      return Boolean(state.eyesMoved) && eyeMotion < LIVENESS.MOTION_THRESHOLD / 2;
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Measurements of one sampled frame
+ * @param {HTMLVideoElement} video - Playing video element
+ * @param {CanvasRenderingContext2D} context - Analysis canvas context
+ * @param {object|null} detector - FaceDetector, or null for motion only
+ * @returns {Promise<object>} { frame, face } where face is
+ *   { centreX, width, eyeContrast } as fractions of the frame, or null
+ */
+const sampleFrame = async (video, context, detector) => {
+  const frame = readFrame(video, context);
+  if (!detector) return { frame, face: null };
+
+  const [detected] = await detector.detect(video);
+  if (!detected) return { frame, face: null };
+
+  // Boxes come in video pixels; the analysis frame is scaled down
+  const scale = frame.width / video.videoWidth;
+  const box = detected.boundingBox;
+  const eyeBand = {
+    x: box.x * scale,
+    y: (box.y + box.height * 0.25) * scale,
+    width: box.width * scale,
+    height: box.height * 0.25 * scale
+  };
+  return {
+    frame,
+    face: {
+      centreX: (box.x + box.width / 2) / video.videoWidth,
+      width: box.width / video.videoWidth,
+      eyeContrast: regionContrast(frame, eyeBand)
+    }
+  };
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Run a liveness challenge against the selfie video
+ * @param {HTMLVideoElement} video - Playing selfie video
+ * @param {string} challenge - One of LIVENESS_CHALLENGES
+ * @param {object} options - { signal: AbortSignal to stop early }
+ * @returns {Promise<object>} { challenge, passed, verified, method, durationMs };
+ *   verified is false for the motion fallback, which cannot see a face
+ */
+export const runLivenessChallenge = async (video, challenge, options = {}) => {
+  const startedAt = Date.now();
+  const detector = createFaceDetector();
+  const method = detector ? 'face-detection' : 'motion';
+  const result = (passed) => ({
+    challenge,
+    passed,
+    verified: passed && Boolean(detector),
+    method,
+    durationMs: Date.now() - startedAt
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = LIVENESS.FRAME_WIDTH;
+  canvas.height = Math.round((LIVENESS.FRAME_WIDTH * video.videoHeight) / video.videoWidth) || LIVENESS.FRAME_WIDTH;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+
+  // Baseline from the first frames, before the student reacts
+  const baseline = [];
+  while (baseline.length < LIVENESS.BASELINE_SAMPLES) {
+    if (options.signal?.aborted) return result(false);
+    const sample = await sampleFrame(video, context, detector);
+    if (!detector || sample.face) baseline.push(sample);
+    if (Date.now() - startedAt > LIVENESS.TIMEOUT_MS) return result(false);
+    await wait(LIVENESS.SAMPLE_INTERVAL_MS);
+  }
+
+  const baseFrame = baseline[0].frame;
+  const baseFace = detector && {
+    centreX: average(baseline.map(sample => sample.face.centreX)),
+    width: average(baseline.map(sample => sample.face.width)),
+    eyeContrast: average(baseline.map(sample => sample.face.eyeContrast))
+  };
+  let eyesDipped = false;
+  const motionState = {};
+
+  while (Date.now() - startedAt < LIVENESS.TIMEOUT_MS) {
+    if (options.signal?.aborted) return result(false);
+    const { frame, face } = await sampleFrame(video, context, detector);
+
+    if (!detector) {
+      if (matchesMotionChallenge(challenge, baseFrame, frame, motionState)) return result(true);
+    } else if (face) {
+      switch (challenge) {
+        case LIVENESS_CHALLENGES.TURN_HEAD:
+          if (
+            Math.abs(face.centreX - baseFace.centreX) >= LIVENESS.TURN_SHIFT ||
+            face.width <= baseFace.width * (1 - LIVENESS.TURN_NARROWING)
+          ) {
+            return result(true);
+          }
+          break;
+        case LIVENESS_CHALLENGES.MOVE_CLOSER:
+          if (face.width >= baseFace.width * LIVENESS.CLOSER_GROWTH) return result(true);
+          break;
+        case LIVENESS_CHALLENGES.BLINK:
+          // Closed eyes flatten the eye band; it must then recover
+          if (face.eyeContrast <= baseFace.eyeContrast * (1 - LIVENESS.BLINK_DROP)) {
+            eyesDipped = true;
+          } else if (eyesDipped && face.eyeContrast >= baseFace.eyeContrast * (1 - LIVENESS.BLINK_DROP / 2)) {
+            return result(true);
+          }
+          break;
+        default:
+          return result(false);
+      }
+    }
+
+    await wait(LIVENESS.SAMPLE_INTERVAL_MS);
+  }
+
+  return result(false);
+};
+
+export default {
+  pickLivenessChallenge,
+  runLivenessChallenge,
+  matchesMotionChallenge
+};
@@ -0,0 +1,125 @@
+/**
+ * Offline Attendance Sessions
+ *
+ * Sessions started by the offline QR generator while the faculty device has
+ * no connection. The session id is reserved on the device and the signing
+ * secret generated locally, both kept in localStorage with the session
+ * details. When connectivity returns the session is created in Firestore
+ * under the same id with the same secret, so every code shown offline
+ * verifies and student marks link to it.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import { createAttendanceSession, getServerNow } from './firebase';
+import { SESSION_STATES } from '../utils/constants';
+import { isOnline, onNetworkChange } from '../utils/helpers';
+
+// localStorage key for sessions waiting to be created in Firestore
+const OFFLINE_SESSIONS_KEY = 'offline_attendance_sessions';
+
+let syncInProgress = null;
+
+/**
+ * Sessions started offline and not yet created in Firestore
+ * @returns {Array} Pending sessions { sessionId, secret, sessionData, createdAtMs, expiresAtMs }
+ */
+export const getOfflineSessions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OFFLINE_SESSIONS_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeOfflineSessions = (sessions) => {
+  localStorage.setItem(OFFLINE_SESSIONS_KEY, JSON.stringify(sessions));
+};
+
+/**
+ * Keep a session started offline until it can be created in Firestore
+ * @param {object} session - { sessionId, secret, sessionData, createdAtMs, expiresAtMs }
+ */
+export const saveOfflineSession = (session) => {
+  writeOfflineSessions([
+    ...getOfflineSessions().filter(pending => pending.sessionId !== session.sessionId),
+    session
+  ]);
+};
+
+const removeOfflineSession = (sessionId) => {
+  writeOfflineSessions(getOfflineSessions().filter(pending => pending.sessionId !== sessionId));
+};
+
+/**
+ * Create every pending offline session in Firestore under its original id
+ *
+ * Sessions whose window has already ended are created closed, so offline
+ * scans of them are still accepted until the faculty finalizes.
+ * @returns {Promise<Array>} Results { sessionId, success, error } per session
+ */
+export const syncOfflineSessions = () => {
+  if (syncInProgress) return syncInProgress;
+
+  syncInProgress = (async () => {
+    const results = [];
+    for (const pending of getOfflineSessions()) {
+      const createdAt = new Date(pending.createdAtMs);
+      const expiresAt = new Date(pending.expiresAtMs);
+      const ended = getServerNow() > pending.expiresAtMs;
+
+      const { scheduledStart } = pending.sessionData;
+
+      const result = await createAttendanceSession(
+        {
+          ...pending.sessionData,
+          // Dates come back from localStorage as strings
+          ...(scheduledStart && { scheduledStart: new Date(scheduledStart) }),
+          createdAt,
+          expiresAt,
+          createdOffline: true,
+          ...(ended && {
+            state: SESSION_STATES.CLOSED,
+            openedAt: createdAt,
+            closedAt: expiresAt
+          })
+        },
+        { sessionId: pending.sessionId, secret: pending.secret }
+      );
+
+      if (result.success) removeOfflineSession(pending.sessionId);
+      results.push({ sessionId: pending.sessionId, success: result.success, error: result.error });
+    }
+    return results;
+  })().finally(() => {
+    syncInProgress = null;
+  });
+
+  return syncInProgress;
+};
+
+/**
+ * Sync now and whenever connectivity returns
+ * @param {Function} onSynced - Called with the results of each sync that had sessions
+ * @returns {Function} Cleanup function
+ */
+export const startOfflineSessionSync = (onSynced) => {
+  const sync = async () => {
+    if (getOfflineSessions().length === 0) return;
+    const results = await syncOfflineSessions();
+    if (results.length) onSynced(results);
+  };
+
+  if (isOnline()) sync();
+  return onNetworkChange((online) => {
+    if (online) sync();
+  });
+};
+
+export default {
+  getOfflineSessions,
+  saveOfflineSession,
+  syncOfflineSessions,
+  startOfflineSessionSync
+};
@@ -0,0 +1,94 @@
+/**
+ * Photo Hash Service
+ *
+ * Fingerprints attendance selfies with a difference hash (dHash) so a
+ * photo reused across marks, or shared between students, can be spotted
+ * even after it has been re-encoded or resized.
+ *
+ * Hashing Scheme:
+ * - Scale the upright image to PHOTO_HASH.WIDTH x PHOTO_HASH.HEIGHT grey
+ *   pixels
+ * - Set one bit per pixel pair: whether each pixel is brighter than its
+ *   right-hand neighbour, giving a 64-bit hash stored as 16 hex digits
+ * - Two photos are near-duplicates when their hashes differ in at most
+ *   PHOTO_HASH.MAX_DISTANCE bits
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import { PHOTO_HASH } from '../utils/constants';
+
+/**
+ * Difference hash of an image
+ * @param {Blob} image - Captured photo
+ * @returns {Promise<string|null>} 16 hex digits, or null if the image cannot be read
+ */
+export const computePhotoHash = async (image) => {
+  try {
+    const bitmap = await createImageBitmap(image, { imageOrientation: 'from-image' });
+    const canvas = document.createElement('canvas');
+    canvas.width = PHOTO_HASH.WIDTH;
+    canvas.height = PHOTO_HASH.HEIGHT;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0, PHOTO_HASH.WIDTH, PHOTO_HASH.HEIGHT);
+    bitmap.close();
+
+    const { data } = context.getImageData(0, 0, PHOTO_HASH.WIDTH, PHOTO_HASH.HEIGHT);
+    const grey = (x, y) => {
+      const i = (y * PHOTO_HASH.WIDTH + x) * 4;
+      return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    };
+
+    let hash = '';
+    for (let y = 0; y < PHOTO_HASH.HEIGHT; y++) {
+      // Each row of eight comparisons makes two hex digits
+      let row = 0;
+      for (let x = 0; x < PHOTO_HASH.WIDTH - 1; x++) {
+        row = (row << 1) | (grey(x, y) > grey(x + 1, y) ? 1 : 0);
+      }
+      hash += row.toString(16).padStart(2, '0');
+    }
+    return hash;
+  } catch (error) {
+    console.warn('Photo hash unavailable:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Number of differing bits between two hashes
+ * @param {string} a - Hash from computePhotoHash
+ * @param {string} b - Hash from computePhotoHash
+ * @returns {number} Hamming distance, 0 to 64
+ */
+export const getHashDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    for (let diff = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16); diff; diff &= diff - 1) {
+      distance++;
+    }
+  }
+  return distance;
+};
+
+/**
+ * Records whose photo is a near-duplicate of a hash
+ * @param {string} photoHash - Hash to look for
+ * @param {Array} records - Attendance records, with or without photoHash
+ * @returns {Array} { record, distance } closest first
+ */
+export const findSimilarPhotos = (photoHash, records) => {
+  if (!photoHash) return [];
+  return records
+    .filter(record => record.photoHash?.length === photoHash.length)
+    .map(record => ({ record, distance: getHashDistance(photoHash, record.photoHash) }))
+    .filter(match => match.distance <= PHOTO_HASH.MAX_DISTANCE)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+export default {
+  computePhotoHash,
+  getHashDistance,
+  findSimilarPhotos
+};
@@ -0,0 +1,515 @@
+/**
+ * QR Token Service
+ *
+ * Signed, rotating attendance tokens for the PW Attendance Portal.
+ * Every attendance session gets its own random secret, readable only by the
+ * faculty who owns the session. The faculty screen derives a fresh token
+ * for each rotation window; firestore.rules recomputes the signature when
+ * the attendance record is written, so students never hold the secret.
+ *
+ * Token Scheme:
+ * - Time is split into TOTP-style windows of QR_TOKEN_CONFIG.STEP_SECONDS
+ * - signature = hex SHA-256 of "<secret>:<sessionId>:<windowIndex>:<secret>",
+ *   a keyed digest the rules language can compute (it has no HMAC)
+ * - A token is { sessionId, window, signature }
+ * - Verification rejects forged, replayed and out-of-window tokens with
+ *   distinct QR_ERROR_CODES; devices without the secret check the window only
+ *
+ * Payload Format:
+ * - Scan link: <origin>/scan?t=<compact payload>, opens the portal from a camera app
+ * - Compact (v1): "PW" + base45(version byte + TLV fields), QR alphanumeric mode
+ * - Legacy JSON: { type: 'pw-attendance', sessionId, window, signature }
+ * - decodeQRPayload accepts all three
+ * - A scan link opened before sign-in is kept in sessionStorage and
+ *   reopened once the student is signed in; its token is then checked and
+ *   claimed like any other scan
+ *
+ * This module is free of Firebase dependencies; secrets are stored and
+ * fetched by services/firebase.js.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import { QR_TOKEN_CONFIG, QR_PAYLOAD_CONFIG, QR_ERROR_CODES } from '../utils/constants';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// RFC 9285 alphabet; every character is valid in QR alphanumeric mode
+const BASE45_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Field codes used in compact payloads
+const FIELD_SESSION_ID = 0x01;
+const FIELD_WINDOW = 0x02;
+const FIELD_SIGNATURE = 0x03;
+
+// localStorage key for tokens already redeemed on this device
+const REDEEMED_TOKENS_KEY = 'qr_redeemed_tokens';
+const MAX_REDEEMED_TOKENS = 50;
+
+// sessionStorage key for a scan link opened before sign-in
+const PENDING_SCAN_LINK_KEY = 'pending_scan_link';
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url string
+ */
+export const bytesToBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode an unpadded base64url string
+ * @param {string} value - base64url string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export const base64UrlToBytes = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Generate a random per-session secret
+ * @returns {string} base64url encoded secret
+ */
+export const generateSessionSecret = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(QR_TOKEN_CONFIG.SECRET_BYTES));
+  return bytesToBase64Url(bytes);
+};
+
+/**
+ * Get the rotation window index for a point in time
+ * @param {number} timeMs - Epoch milliseconds
+ * @param {number} stepSeconds - Window length in seconds
+ * @returns {number} Window index
+ */
+export const getWindowIndex = (timeMs, stepSeconds = QR_TOKEN_CONFIG.STEP_SECONDS) => {
+  return Math.floor(timeMs / (stepSeconds * 1000));
+};
+
+/**
+ * Start of a rotation window
+ *
+ * Scans are timed by the window of the token they redeemed, which the
+ * attendance rules can check; the device clock is never trusted for it.
+ * @param {number} windowIndex - Window index
+ * @param {number} stepSeconds - Window length in seconds
+ * @returns {number} Epoch milliseconds
+ */
+export const getWindowStart = (windowIndex, stepSeconds = QR_TOKEN_CONFIG.STEP_SECONDS) =>
+  windowIndex * stepSeconds * 1000;
+
+/**
+ * Seconds remaining until the next rotation
+ * @param {number} timeMs - Epoch milliseconds
+ * @param {number} stepSeconds - Window length in seconds
+ * @returns {number} Whole seconds left in the current window (1..stepSeconds)
+ */
+export const getWindowTimeLeft = (timeMs, stepSeconds = QR_TOKEN_CONFIG.STEP_SECONDS) => {
+  const stepMs = stepSeconds * 1000;
+  return Math.ceil((stepMs - (timeMs % stepMs)) / 1000);
+};
+
+/**
+ * Encode bytes as lowercase hex
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+const bytesToHex = (bytes) =>
+  Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Decode a hex string
+ * @param {string} value - Hex string with an even number of digits
+ * @returns {Uint8Array} Decoded bytes
+ */
+const hexToBytes = (value) =>
+  Uint8Array.from(value.match(/../g) || [], pair => parseInt(pair, 16));
+
+/**
+ * Compute the keyed signature for a session window
+ *
+ * Must stay in step with isSignedWindow in firestore.rules.
+ * @param {string} secret - base64url session secret
+ * @param {string} sessionId - Attendance session ID
+ * @param {number} windowIndex - Rotation window index
+ * @returns {Promise<string>} Lowercase hex SHA-256 digest
+ */
+const signWindow = async (secret, sessionId, windowIndex) => {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    textEncoder.encode(`${secret}:${sessionId}:${windowIndex}:${secret}`)
+  );
+  return bytesToHex(new Uint8Array(digest));
+};
+
+/**
+ * Compare two strings without short-circuiting on the first difference
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether the strings are equal
+ */
+const constantTimeEquals = (a, b) => {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+};
+
+/**
+ * Create the signed token for the window containing `now`
+ * @param {string} sessionId - Attendance session ID
+ * @param {string} secret - base64url session secret
+ * @param {object} options - { now, stepSeconds }
+ * @returns {Promise<object>} Token { sessionId, window, signature }
+ */
+export const createQRToken = async (sessionId, secret, options = {}) => {
+  const { now = Date.now(), stepSeconds = QR_TOKEN_CONFIG.STEP_SECONDS } = options;
+  const windowIndex = getWindowIndex(now, stepSeconds);
+  const signature = await signWindow(secret, sessionId, windowIndex);
+
+  return { sessionId, window: windowIndex, signature };
+};
+
+/**
+ * Stable key identifying a token
+ * @param {object} token - QR token
+ * @returns {string} Token key
+ */
+export const getTokenKey = (token) => `${token.sessionId}:${token.window}`;
+
+/**
+ * Check a scanned token's shape, rotation window and local replay history
+ *
+ * Devices without the session secret stop here; the signature itself is
+ * checked by firestore.rules when the attendance record is written.
+ * @param {object} token - Token { sessionId, window, signature }
+ * @param {object} options - { now, stepSeconds, graceWindows, futureWindows, redeemedTokens }
+ * @returns {object} { valid: true, window } or { valid: false, code }
+ */
+export const checkQRTokenWindow = (token, options = {}) => {
+  const {
+    now = Date.now(),
+    stepSeconds = QR_TOKEN_CONFIG.STEP_SECONDS,
+    graceWindows = QR_TOKEN_CONFIG.GRACE_WINDOWS,
+    futureWindows = QR_TOKEN_CONFIG.FUTURE_WINDOWS,
+    redeemedTokens = []
+  } = options;
+
+  if (
+    !token ||
+    typeof token.sessionId !== 'string' ||
+    !Number.isInteger(token.window) ||
+    typeof token.signature !== 'string' ||
+    !/^[0-9a-f]{64}$/.test(token.signature)
+  ) {
+    return { valid: false, code: QR_ERROR_CODES.MALFORMED };
+  }
+
+  const currentWindow = getWindowIndex(now, stepSeconds);
+  if (token.window < currentWindow - graceWindows) {
+    return { valid: false, code: QR_ERROR_CODES.EXPIRED };
+  }
+  if (token.window > currentWindow + futureWindows) {
+    return { valid: false, code: QR_ERROR_CODES.NOT_YET_VALID };
+  }
+
+  if (redeemedTokens.includes(getTokenKey(token))) {
+    return { valid: false, code: QR_ERROR_CODES.REPLAYED };
+  }
+
+  return { valid: true, window: token.window };
+};
+
+/**
+ * Verify a scanned token against its session secret
+ * @param {object} token - Token { sessionId, window, signature }
+ * @param {string} secret - base64url session secret
+ * @param {object} options - Same as checkQRTokenWindow
+ * @returns {Promise<object>} { valid: true, window } or { valid: false, code }
+ */
+export const verifyQRToken = async (token, secret, options = {}) => {
+  const result = checkQRTokenWindow(token, options);
+  if (result.code === QR_ERROR_CODES.MALFORMED) return result;
+
+  const expected = await signWindow(secret, token.sessionId, token.window);
+  if (!constantTimeEquals(expected, token.signature)) {
+    return { valid: false, code: QR_ERROR_CODES.FORGED };
+  }
+
+  return result;
+};
+
+/**
+ * Encode bytes as base45 (RFC 9285)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base45 string
+ */
+export const bytesToBase45 = (bytes) => {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 2) {
+    if (i + 1 < bytes.length) {
+      let value = bytes[i] * 256 + bytes[i + 1];
+      for (let j = 0; j < 3; j++) {
+        result += BASE45_ALPHABET[value % 45];
+        value = Math.floor(value / 45);
+      }
+    } else {
+      const value = bytes[i];
+      result += BASE45_ALPHABET[value % 45] + BASE45_ALPHABET[Math.floor(value / 45)];
+    }
+  }
+  return result;
+};
+
+/**
+ * Decode a base45 string (RFC 9285)
+ * @param {string} value - base45 string
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the string is not valid base45
+ */
+export const base45ToBytes = (value) => {
+  const digits = Array.from(value, char => {
+    const digit = BASE45_ALPHABET.indexOf(char);
+    if (digit === -1) throw new Error('Invalid base45 character');
+    return digit;
+  });
+  if (digits.length % 3 === 1) throw new Error('Invalid base45 length');
+
+  const bytes = [];
+  for (let i = 0; i < digits.length; i += 3) {
+    if (i + 2 < digits.length) {
+      const n = digits[i] + digits[i + 1] * 45 + digits[i + 2] * 45 * 45;
+      if (n > 0xffff) throw new Error('Invalid base45 chunk');
+      bytes.push(n >> 8, n & 0xff);
+    } else {
+      const n = digits[i] + digits[i + 1] * 45;
+      if (n > 0xff) throw new Error('Invalid base45 chunk');
+      bytes.push(n);
+    }
+  }
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * Minimal big-endian bytes for a non-negative integer
+ * @param {number} value - Integer to encode
+ * @returns {number[]} Bytes
+ */
+const uintToBytes = (value) => {
+  const bytes = [];
+  let remaining = value;
+  do {
+    bytes.unshift(remaining % 256);
+    remaining = Math.floor(remaining / 256);
+  } while (remaining > 0);
+  return bytes;
+};
+
+/**
+ * Serialize a token as a compact versioned payload
+ * @param {object} token - QR token
+ * @returns {string} "PW" followed by base45 TLV bytes
+ */
+const encodeCompactPayload = (token) => {
+  const fields = [
+    [FIELD_SESSION_ID, Array.from(textEncoder.encode(token.sessionId))],
+    [FIELD_WINDOW, uintToBytes(token.window)],
+    [FIELD_SIGNATURE, Array.from(hexToBytes(token.signature))]
+  ];
+
+  const bytes = [QR_PAYLOAD_CONFIG.VERSION];
+  fields.forEach(([code, value]) => {
+    bytes.push(code, value.length, ...value);
+  });
+
+  return QR_PAYLOAD_CONFIG.PREFIX + bytesToBase45(Uint8Array.from(bytes));
+};
+
+/**
+ * Parse a compact payload into a token
+ * @param {string} text - Scanned text starting with the compact prefix
+ * @returns {object|null} Token or null if the payload is invalid
+ */
+const decodeCompactPayload = (text) => {
+  try {
+    const bytes = base45ToBytes(text.slice(QR_PAYLOAD_CONFIG.PREFIX.length));
+    if (bytes[0] !== QR_PAYLOAD_CONFIG.VERSION) return null;
+
+    const token = {};
+    let offset = 1;
+    while (offset < bytes.length) {
+      const code = bytes[offset];
+      const length = bytes[offset + 1];
+      const value = bytes.slice(offset + 2, offset + 2 + length);
+      if (length === undefined || value.length !== length) return null;
+      offset += 2 + length;
+
+      if (code === FIELD_SESSION_ID) {
+        token.sessionId = textDecoder.decode(value);
+      } else if (code === FIELD_WINDOW) {
+        token.window = value.reduce((acc, byte) => acc * 256 + byte, 0);
+      } else if (code === FIELD_SIGNATURE) {
+        token.signature = bytesToHex(value);
+      }
+      // Unknown field codes are skipped so newer minor fields stay readable
+    }
+
+    if (!token.sessionId || token.window === undefined || !token.signature) return null;
+    return token;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Serialize a token into QR code content
+ * @param {object} token - QR token
+ * @param {object} options - { format: 'url' | 'compact' | 'json', origin }
+ * @returns {string} QR payload
+ */
+export const encodeQRPayload = (token, options = {}) => {
+  const { format = QR_PAYLOAD_CONFIG.FORMAT, origin = window.location.origin } = options;
+
+  if (format === 'url') {
+    const { SCAN_PATH, TOKEN_PARAM } = QR_PAYLOAD_CONFIG;
+    return `${origin}${SCAN_PATH}?${TOKEN_PARAM}=${encodeURIComponent(encodeCompactPayload(token))}`;
+  }
+
+  if (format === 'compact') {
+    return encodeCompactPayload(token);
+  }
+
+  return JSON.stringify({
+    type: 'pw-attendance',
+    sessionId: token.sessionId,
+    window: token.window,
+    signature: token.signature
+  });
+};
+
+/**
+ * Parse scanned QR content into a token
+ * Accepts portal scan links, compact payloads and legacy JSON payloads.
+ * @param {string} text - Decoded QR text
+ * @returns {object|null} Token or null if the content is not an attendance token
+ */
+export const decodeQRPayload = (text) => {
+  if (typeof text !== 'string') return null;
+
+  if (/^https?:\/\//i.test(text)) {
+    try {
+      const url = new URL(text);
+      if (url.pathname !== QR_PAYLOAD_CONFIG.SCAN_PATH) return null;
+      const payload = url.searchParams.get(QR_PAYLOAD_CONFIG.TOKEN_PARAM);
+      return payload?.startsWith(QR_PAYLOAD_CONFIG.PREFIX) ? decodeCompactPayload(payload) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  if (text.startsWith(QR_PAYLOAD_CONFIG.PREFIX)) {
+    return decodeCompactPayload(text);
+  }
+
+  try {
+    const data = JSON.parse(text);
+    if (data?.type !== 'pw-attendance') return null;
+    return {
+      sessionId: data.sessionId,
+      window: data.window,
+      signature: data.signature
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Tokens already redeemed on this device
+ * @returns {string[]} Token keys
+ */
+export const getRedeemedTokens = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REDEEMED_TOKENS_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Remember a redeemed token so it cannot be replayed on this device
+ * @param {object} token - QR token
+ */
+export const recordRedeemedToken = (token) => {
+  const redeemed = getRedeemedTokens().filter(key => key !== getTokenKey(token));
+  redeemed.push(getTokenKey(token));
+  localStorage.setItem(
+    REDEEMED_TOKENS_KEY,
+    JSON.stringify(redeemed.slice(-MAX_REDEEMED_TOKENS))
+  );
+};
+
+/**
+ * Keep a scan link opened before sign-in so the scan resumes afterwards
+ * The payload keeps the token's window; reopening the same link (e.g.
+ * after a sign-in redirect) keeps the time it was first opened.
+ * @param {string} payload - Compact payload from the link
+ * @param {number} savedAt - Time the link was opened, in ms
+ */
+export const savePendingScanLink = (payload, savedAt = Date.now()) => {
+  const pending = getPendingScanLink(savedAt);
+  if (pending?.payload === payload) return;
+  sessionStorage.setItem(PENDING_SCAN_LINK_KEY, JSON.stringify({ payload, savedAt }));
+};
+
+/**
+ * Scan link kept from before sign-in, if it is recent enough to reopen
+ * @param {number} now - Current time in ms
+ * @returns {object|null} { payload, savedAt }
+ */
+export const getPendingScanLink = (now = Date.now()) => {
+  try {
+    const pending = JSON.parse(sessionStorage.getItem(PENDING_SCAN_LINK_KEY));
+    return pending?.payload && now - pending.savedAt <= QR_PAYLOAD_CONFIG.PENDING_LINK_TTL_MS
+      ? pending
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Forget the scan link kept from before sign-in
+ */
+export const clearPendingScanLink = () => {
+  sessionStorage.removeItem(PENDING_SCAN_LINK_KEY);
+};
+
+export default {
+  generateSessionSecret,
+  getWindowIndex,
+  getWindowStart,
+  getWindowTimeLeft,
+  createQRToken,
+  checkQRTokenWindow,
+  verifyQRToken,
+  getTokenKey,
+  encodeQRPayload,
+  decodeQRPayload,
+  getRedeemedTokens,
+  recordRedeemedToken,
+  savePendingScanLink,
+  getPendingScanLink,
+  clearPendingScanLink
+};
@@ -0,0 +1,257 @@
+/**
+ * Offline Scan Queue
+ *
+ * Keeps attendance scans that could not be submitted because the device was
+ * offline. Each entry holds the verified QR token, its capture time (the
+ * start of the token's window), the verification photo and the attendance
+ * details, stored in IndexedDB so it survives reloads. Entries are replayed
+ * when the network comes back, and the marking path judges them by capture
+ * time; they never claimed their QR window, so they are saved awaiting
+ * faculty approval. Once its photo is uploaded the URLs are kept on the
+ * entry, so a replay never writes the same storage path twice.
+ * Scans of sessions a faculty started offline wait here until the session
+ * has been synced to Firestore.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import { uploadFile, markAttendance, getSessionDetails } from './firebase';
+import { OFFLINE_QUEUE, QR_ERROR_CODES, IMAGE_PROCESSING } from '../utils/constants';
+import { isOnline, onNetworkChange } from '../utils/helpers';
+
+const queueListeners = new Set();
+let syncInProgress = null;
+
+/**
+ * Open the queue database, creating the store on first use
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+const openQueueDb = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_QUEUE.DB_NAME, OFFLINE_QUEUE.DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OFFLINE_QUEUE.STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Run one request against the queue store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+const withStore = async (mode, operation) => {
+  const database = await openQueueDb();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(OFFLINE_QUEUE.STORE_NAME, mode);
+    const request = operation(transaction.objectStore(OFFLINE_QUEUE.STORE_NAME));
+    transaction.oncomplete = () => {
+      database.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      database.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+const notifyQueueChange = async () => {
+  const scans = await getQueuedScans();
+  queueListeners.forEach(listener => listener(scans));
+};
+
+/**
+ * Whether a failure came from missing connectivity rather than a rejection
+ * @param {string} message - Error message or code
+ * @returns {boolean} True if the submission should be retried later
+ */
+const isNetworkError = (message = '') =>
+  !isOnline() ||
+  /offline|network|unavailable|retry-limit|failed to fetch/i.test(message);
+
+/**
+ * Scans waiting to be submitted, oldest first
+ * @returns {Promise<Array>} Queued scans
+ */
+export const getQueuedScans = async () => {
+  try {
+    const scans = await withStore('readonly', store => store.getAll());
+    return scans.sort((a, b) => a.scannedAt - b.scannedAt);
+  } catch (error) {
+    console.error('❌ Error reading scan queue:', error);
+    return [];
+  }
+};
+
+/**
+ * Store a scan for later submission
+ * @param {object} scan - { attendanceData, photo, photoPath, scannedAt }
+ * @returns {Promise<object>} { success, id } or { success: false, error }
+ */
+export const enqueueScan = async (scan) => {
+  try {
+    const id = `${scan.attendanceData.sessionId}_${scan.attendanceData.studentId}`;
+    await withStore('readwrite', store => store.put({ ...scan, id, queuedAt: Date.now() }));
+    notifyQueueChange();
+    return { success: true, id };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove a scan from the queue
+ * @param {string} id - Queue entry ID
+ */
+export const removeQueuedScan = async (id) => {
+  await withStore('readwrite', store => store.delete(id));
+  notifyQueueChange();
+};
+
+/**
+ * One queued scan
+ * @param {string} id - Queue entry ID
+ * @returns {Promise<object>} Queued scan
+ */
+const getQueuedScan = (id) => withStore('readonly', store => store.get(id));
+
+/**
+ * Keep the uploaded photo URLs on a queued scan
+ * @param {string} id - Queue entry ID
+ * @param {object} upload - { url, thumbnailUrl }
+ */
+const saveQueuedUpload = async (id, upload) => {
+  try {
+    const scan = await getQueuedScan(id);
+    await withStore('readwrite', store => store.put({ ...scan, upload }));
+  } catch (error) {
+    console.error('❌ Error updating scan queue:', error);
+  }
+};
+
+/**
+ * Upload the photo and mark attendance for one scan
+ *
+ * The upload result is kept on the scan as upload { url, thumbnailUrl }, and
+ * on its queue entry when replaying, so a scan whose marking fails after the
+ * upload is retried without uploading again (storage paths are create-only).
+ * @param {object} scan - { attendanceData, photo, photoPath, upload? }
+ * @param {object} options - { queued: true when replaying from the queue, onProgress(percent) for the photo upload }
+ * @returns {Promise<object>} markAttendance result, with retryable set on network failures
+ */
+export const submitScan = async (scan, options = {}) => {
+  if (!isOnline()) {
+    return { success: false, retryable: true };
+  }
+
+  // Skip the photo upload until an offline-started session exists
+  if (scan.pendingSession) {
+    const sessionResult = await getSessionDetails(scan.attendanceData.sessionId);
+    if (!sessionResult.success) {
+      return { success: false, code: QR_ERROR_CODES.SESSION_NOT_FOUND, retryable: true };
+    }
+  }
+
+  if (!scan.upload) {
+    const uploadResult = await uploadFile(scan.photo, scan.photoPath, {
+      preset: IMAGE_PROCESSING.ATTENDANCE_PHOTO,
+      onProgress: options.onProgress
+    });
+    if (!uploadResult.success) {
+      return { ...uploadResult, retryable: isNetworkError(uploadResult.error) };
+    }
+    scan.upload = { url: uploadResult.url, thumbnailUrl: uploadResult.thumbnailUrl || null };
+    if (options.queued) await saveQueuedUpload(scan.id, scan.upload);
+  }
+
+  const result = await markAttendance({
+    ...scan.attendanceData,
+    photoUrl: scan.upload.url,
+    photoThumbnailUrl: scan.upload.thumbnailUrl,
+    // Scans replayed from the queue, or of a session that could not be
+    // loaded when scanned, never claimed their QR window
+    offlineCapture: Boolean(options.queued || scan.pendingSession)
+  });
+  if (!result.success && !result.alreadyMarked) {
+    // Sessions started offline are missing until the faculty device syncs
+    const retryable = result.code
+      ? result.code === QR_ERROR_CODES.CLOCK_UNAVAILABLE ||
+        (scan.pendingSession && result.code === QR_ERROR_CODES.SESSION_NOT_FOUND)
+      : isNetworkError(result.error);
+    return { ...result, retryable };
+  }
+  return result;
+};
+
+/**
+ * Submit every queued scan; scans that fail for lack of network, or whose
+ * offline-started session has not synced yet, stay queued
+ * @returns {Promise<Array>} Results for scans that left the queue
+ */
+export const syncScanQueue = () => {
+  if (syncInProgress) return syncInProgress;
+
+  syncInProgress = (async () => {
+    const results = [];
+    for (const scan of await getQueuedScans()) {
+      const result = await submitScan(scan, { queued: true });
+      if (result.retryable && !isOnline()) break;
+      if (result.retryable) continue;
+      await removeQueuedScan(scan.id);
+      results.push({ scan, result });
+    }
+    return results;
+  })().finally(() => {
+    syncInProgress = null;
+  });
+
+  return syncInProgress;
+};
+
+/**
+ * Listen for queue changes
+ * @param {Function} listener - Called with the queued scans
+ * @returns {Function} Cleanup function
+ */
+export const onScanQueueChange = (listener) => {
+  queueListeners.add(listener);
+  return () => queueListeners.delete(listener);
+};
+
+/**
+ * Sync now, whenever connectivity returns and periodically while scans wait
+ * @param {Function} onSynced - Called with the results of each sync that submitted scans
+ * @returns {Function} Cleanup function
+ */
+export const startScanQueueSync = (onSynced) => {
+  const sync = async () => {
+    if (!isOnline() || (await getQueuedScans()).length === 0) return;
+    const results = await syncScanQueue();
+    if (results.length) onSynced(results);
+  };
+
+  sync();
+  const interval = setInterval(sync, OFFLINE_QUEUE.RETRY_INTERVAL_MS);
+  const stopListening = onNetworkChange((online) => {
+    if (online) sync();
+  });
+
+  return () => {
+    clearInterval(interval);
+    stopListening();
+  };
+};
+
+export default {
+  getQueuedScans,
+  enqueueScan,
+  removeQueuedScan,
+  submitScan,
+  syncScanQueue,
+  onScanQueueChange,
+  startScanQueueSync
+};
@@ -93,7 +93,88 @@ export const ATTENDANCE_STATUS = {
   PRESENT: 'present',   // Student is present
   ABSENT: 'absent',     // Student is absent
   LATE: 'late',         // Student arrived late
-  EXCUSED: 'excused'    // Student has valid excuse
+  EXCUSED: 'excused',   // Student has valid excuse
+  PENDING_REVIEW: 'pending_review' // Offline scan awaiting faculty approval
+};
+
+/**
+ * Photo Review Status
+ *
+ * Faculty review of the selfie taken with a QR mark. A rejected photo
+ * downgrades the mark to absent.
+ */
+export const PHOTO_REVIEW_STATUS = {
+  PENDING: 'pending',     // Not reviewed yet
+  APPROVED: 'approved',   // Photo matches the student
+  REJECTED: 'rejected'    // Photo does not match; mark downgraded to absent
+};
+
+/**
+ * Late Credit Policies
+ *
+ * How a late mark counts towards attendance percentages.
+ */
+export const LATE_CREDIT_POLICY = {
+  FULL: 'full',         // Late counts the same as present
+  PARTIAL: 'partial',   // Late counts as a fraction of a present
+  ABSENT: 'absent'      // Late counts as absent
+};
+
+/**
+ * Late Marking Defaults
+ *
+ * Used when system_config does not set lateMarkThreshold,
+ * lateCreditPolicy or latePartialCredit.
+ */
+export const LATE_MARKING = {
+  DEFAULT_THRESHOLD_MINUTES: 15,
+  DEFAULT_CREDIT_POLICY: LATE_CREDIT_POLICY.FULL,
+  DEFAULT_PARTIAL_CREDIT: 0.5
+};
+
+/**
+ * Period Check Modes
+ *
+ * How a multi-period session confirms that students stayed: students scan
+ * the QR again in each period, or the faculty confirms them from the roster
+ * at each period boundary.
+ */
+export const PERIOD_CHECK_MODES = {
+  RESCAN: 'rescan',
+  CONFIRM: 'confirm'
+};
+
+/**
+ * Per-Period Attendance Settings
+ */
+export const PERIOD_ATTENDANCE = {
+  DEFAULT_CHECK_MODE: PERIOD_CHECK_MODES.RESCAN,
+  RESCAN_WINDOW_MS: 30000       // How long the QR stays open for each period's re-scan
+};
+
+/**
+ * Attendance Session States
+ *
+ * Lifecycle of an attendance session. Only open sessions accept marks;
+ * finalized sessions have a record for every rostered student.
+ */
+export const SESSION_STATES = {
+  SCHEDULED: 'scheduled', // Created ahead of the lecture, not yet accepting marks
+  OPEN: 'open',           // QR is live and students can mark
+  CLOSED: 'closed',       // Marking stopped, roster not yet completed
+  FINALIZED: 'finalized'  // Absentees filled in, session is read-only
+};
+
+/**
+ * Allowed Session State Transitions
+ *
+ * Maps each state to the states it may move to.
+ */
+export const SESSION_TRANSITIONS = {
+  [SESSION_STATES.SCHEDULED]: [SESSION_STATES.OPEN, SESSION_STATES.CLOSED],
+  [SESSION_STATES.OPEN]: [SESSION_STATES.CLOSED],
+  [SESSION_STATES.CLOSED]: [SESSION_STATES.OPEN, SESSION_STATES.FINALIZED],
+  [SESSION_STATES.FINALIZED]: []
 };
 
 /**
@@ -110,6 +191,7 @@ export const EMAIL_DOMAINS = {
  * File Upload Configuration
  * 
  * Settings for file upload functionality (profile photos, attendance photos).
+ * storage.rules enforces the same limits; keep the two in step.
  */
 export const FILE_UPLOAD = {
   MAX_SIZE: 5 * 1024 * 1024, // 5MB maximum file size
@@ -119,6 +201,35 @@ export const FILE_UPLOAD = {
   }
 };
 
+/**
+ * Image Processing Presets
+ *
+ * Images are resized so their longer side is at most MAX_DIMENSION and
+ * re-encoded as JPEG before upload, which also drops EXIF metadata. Each
+ * upload gets a THUMBNAIL stored next to it.
+ */
+export const IMAGE_PROCESSING = {
+  OUTPUT_TYPE: 'image/jpeg',
+  THUMBNAIL_SUFFIX: '_thumb',
+  ATTENDANCE_PHOTO: { MAX_DIMENSION: 960, QUALITY: 0.8 },
+  PROFILE_PHOTO: { MAX_DIMENSION: 800, QUALITY: 0.85 },
+  ATTACHMENT: { MAX_DIMENSION: 1600, QUALITY: 0.85 },
+  THUMBNAIL: { MAX_DIMENSION: 160, QUALITY: 0.7 }
+};
+
+/**
+ * Media Retention Defaults
+ *
+ * Used when system_config does not set photoRetentionDays or
+ * qrCodeRetentionHours. Attendance photos are purged only after their
+ * record has been verified.
+ */
+export const MEDIA_RETENTION = {
+  DEFAULT_PHOTO_RETENTION_DAYS: 90,
+  DEFAULT_QR_CODE_RETENTION_HOURS: 24,
+  QR_CODES_PATH: 'qr_codes'
+};
+
 /**
  * Attendance Percentage Thresholds
  * 
@@ -131,6 +242,36 @@ export const ATTENDANCE_THRESHOLDS = {
   POOR: 65           // Below 75%
 };
 
+/**
+ * Registered Device Status
+ *
+ * State of a device in a student's registered devices list.
+ */
+export const DEVICE_STATUS = {
+  APPROVED: 'approved',   // May mark attendance
+  PENDING: 'pending',     // Over the device limit, awaiting faculty/admin approval
+  REJECTED: 'rejected'    // Blocked by faculty/admin
+};
+
+/**
+ * Device Registry Configuration
+ *
+ * Fallback when system_config.maxDevicesPerStudent is not set.
+ */
+export const DEVICE_REGISTRY = {
+  DEFAULT_MAX_DEVICES: 2
+};
+
+/**
+ * Proxy Attendance Detection
+ *
+ * A device that marks for more than one student in the same session, or
+ * within WINDOW_MS across sessions, flags the later marks as suspicious.
+ */
+export const PROXY_DETECTION = {
+  WINDOW_MS: 15 * 60 * 1000        // Cross-session correlation window
+};
+
 /**
  * Device Type Detection
  * 
@@ -156,6 +297,71 @@ export const PERIOD_OPTIONS = [
   { value: '6', label: '6 Periods' }
 ];
 
+/**
+ * Academic Catalog for Attendance Sessions
+ *
+ * Schools, batches and subjects offered by the QR generator and the
+ * timetable editor. Timetable slots store these ids so a slot can pre-fill
+ * the generator form.
+ */
+export const ACADEMIC_CATALOG = {
+  SCHOOLS: [
+    { id: 'sot', name: 'School of Technology', shortName: 'SOT' },
+    { id: 'som', name: 'School of Management', shortName: 'SOM' }
+  ],
+  BATCHES: {
+    'sot': [
+      { id: 'sot24b1', name: 'SOT24B1' },
+      { id: 'sot24b2', name: 'SOT24B2' },
+      { id: 'sot23b1', name: 'SOT23B1' }
+    ],
+    'som': [
+      { id: 'som24b1', name: 'SOM24B1' },
+      { id: 'som23b1', name: 'SOM23B1' }
+    ]
+  },
+  SUBJECTS: {
+    'sot': [
+      { id: 'java', name: 'Java', code: 'JAVA' },
+      { id: 'python', name: 'Python', code: 'PYTHON' },
+      { id: 'dbms', name: 'DBMS', code: 'DBMS' },
+      { id: 'sql', name: 'SQL', code: 'SQL' }
+    ],
+    'som': [
+      { id: 'java', name: 'Java', code: 'JAVA' },
+      { id: 'python', name: 'Python', code: 'PYTHON' },
+      { id: 'dbms', name: 'DBMS', code: 'DBMS' },
+      { id: 'sql', name: 'SQL', code: 'SQL' }
+    ]
+  }
+};
+
+/**
+ * Weekdays for Timetable Slots
+ *
+ * Values follow Date.getDay() (0 = Sunday).
+ */
+export const WEEKDAYS = [
+  { value: 1, label: 'Monday', short: 'Mon' },
+  { value: 2, label: 'Tuesday', short: 'Tue' },
+  { value: 3, label: 'Wednesday', short: 'Wed' },
+  { value: 4, label: 'Thursday', short: 'Thu' },
+  { value: 5, label: 'Friday', short: 'Fri' },
+  { value: 6, label: 'Saturday', short: 'Sat' },
+  { value: 0, label: 'Sunday', short: 'Sun' }
+];
+
+/**
+ * Timetable Configuration
+ *
+ * A slot is offered as the current class from EARLY_START_MINUTES before
+ * its start time until its end time.
+ */
+export const TIMETABLE_CONFIG = {
+  EARLY_START_MINUTES: 10,
+  COLLECTION: 'timetable_slots'
+};
+
 /**
  * Academic Year Configuration
  * 
@@ -167,9 +373,205 @@ export const ACADEMIC_YEAR = {
   END_MONTH: 6         // June (academic year ends)
 };
 
+/**
+ * QR Token Configuration
+ *
+ * Settings for the signed, rotating attendance QR tokens.
+ * A token is valid for the window it was signed in plus a small grace period.
+ * GRACE_WINDOWS, FUTURE_WINDOWS and MAX_SUBMIT_DELAY_MS are repeated in the
+ * attendance rules of firestore.rules; keep the two in step.
+ */
+export const QR_TOKEN_CONFIG = {
+  STEP_SECONDS: 5,                 // Rotation window length (TOTP-style step)
+  GRACE_WINDOWS: 2,                // Past windows still accepted (scan latency)
+  FUTURE_WINDOWS: 1,               // Future windows accepted (clock drift)
+  SECRET_BYTES: 32,                // Per-session secret length
+  MAX_SUBMIT_DELAY_MS: 3 * 60 * 1000 // Max time between scan and submission
+};
+
+/**
+ * QR Relay Protection
+ *
+ * Each rotation window is a nonce. The first device to scan it starts a
+ * short tolerance on server time; other devices presenting the same window
+ * after that are treated as relayed codes and blocked. TOLERANCE_MS covers
+ * a window's full validity, (GRACE_WINDOWS + 1) rotation steps, and is
+ * repeated in the nonce ledger rules of firestore.rules.
+ */
+export const RELAY_PROTECTION = {
+  TOLERANCE_MS: (QR_TOKEN_CONFIG.GRACE_WINDOWS + 1) * QR_TOKEN_CONFIG.STEP_SECONDS * 1000 // 15 seconds
+};
+
+/**
+ * Photo Hash Settings
+ *
+ * Difference hashes of attendance selfies, used to spot the same photo
+ * submitted twice in a session or reused from an earlier mark.
+ */
+export const PHOTO_HASH = {
+  WIDTH: 9,                 // Sampled columns; adjacent pairs give 8 bits per row
+  HEIGHT: 8,                // Sampled rows
+  MAX_DISTANCE: 6,          // Hashes differing in at most this many bits are near-duplicates
+  HISTORY_DAYS: 30          // How far back a student's own earlier selfies are compared
+};
+
+/**
+ * Liveness Challenges
+ *
+ * Randomised action the student performs in front of the camera before the
+ * attendance selfie can be taken.
+ */
+export const LIVENESS_CHALLENGES = {
+  TURN_HEAD: 'turn-head',
+  BLINK: 'blink',
+  MOVE_CLOSER: 'move-closer'
+};
+
+/**
+ * Instructions shown for each liveness challenge
+ */
+export const LIVENESS_PROMPTS = {
+  [LIVENESS_CHALLENGES.TURN_HEAD]: 'Slowly turn your head to one side',
+  [LIVENESS_CHALLENGES.BLINK]: 'Blink a couple of times',
+  [LIVENESS_CHALLENGES.MOVE_CLOSER]: 'Move your face closer to the camera'
+};
+
+/**
+ * Liveness Check Settings
+ *
+ * Frames are sampled from the selfie video. With face detection the face
+ * box must shift, grow or show an eye-contrast dip. Without it the picture
+ * must shift sideways by TURN_SHIFT or grow by CLOSER_GROWTH, and for a
+ * blink the eye band must change by MOTION_THRESHOLD grey levels on average
+ * while the lower face stays still.
+ */
+export const LIVENESS = {
+  TIMEOUT_MS: 8000,           // Time allowed to complete a challenge
+  SAMPLE_INTERVAL_MS: 100,    // Gap between analysed frames
+  BASELINE_SAMPLES: 3,        // Frames averaged before the action starts
+  FRAME_WIDTH: 160,           // Width frames are scaled to for analysis
+  TURN_SHIFT: 0.12,           // Face centre shift, as a fraction of frame width
+  TURN_NARROWING: 0.15,       // Or face box narrowing, as a fraction of its width
+  CLOSER_GROWTH: 1.25,        // Face box growth factor
+  BLINK_DROP: 0.2,            // Eye-band contrast dip, as a fraction of baseline
+  MOTION_THRESHOLD: 12,       // Eye-band grey-level change for a blink without face detection
+  MAX_ATTEMPTS: 2             // Failed attempts before a manual mark by faculty is suggested
+};
+
+/**
+ * Offline Scan Queue
+ *
+ * Scans captured without connectivity are kept in IndexedDB and submitted
+ * later. MAX_SYNC_DELAY_MS must match the offline branch in firestore.rules.
+ */
+export const OFFLINE_QUEUE = {
+  DB_NAME: 'pw-attendance',
+  DB_VERSION: 1,
+  STORE_NAME: 'scan_queue',
+  MAX_SYNC_DELAY_MS: 2 * 60 * 60 * 1000, // Queued scans older than this are rejected
+  RETRY_INTERVAL_MS: 60 * 1000              // Retry while scans wait for a session to sync
+};
+
+/**
+ * QR Payload Format
+ *
+ * Compact payloads are versioned TLV bytes encoded as base45, which fits the
+ * QR alphanumeric mode and produces far less dense codes than JSON.
+ * URL payloads wrap the compact payload in a portal link (SCAN_PATH) so a
+ * phone's native camera opens the marking flow directly.
+ * Scanners accept every format; FORMAT selects what generators emit.
+ */
+export const QR_PAYLOAD_CONFIG = {
+  FORMAT: 'url',                   // 'url', 'compact' or 'json' (legacy)
+  SCAN_PATH: '/scan',              // Portal route that handles URL payloads
+  TOKEN_PARAM: 't',                // Query parameter carrying the compact payload
+  PENDING_LINK_TTL_MS: 10 * 60 * 1000, // Links opened before sign-in are reopened this long afterwards
+  PREFIX: 'PW',                    // Marks a compact attendance payload
+  VERSION: 1,                      // Compact payload version byte
+  ERROR_CORRECTION: 'M'            // Enough redundancy for a projected code
+};
+
+/**
+ * Geofence Configuration
+ *
+ * Defaults for classroom location checks. The per-session radius and the
+ * system_config.requireLocationVerification flag take precedence.
+ */
+export const GEOFENCE_CONFIG = {
+  DEFAULT_RADIUS_METERS: 100,      // Classroom radius when the faculty sets none
+  MAX_ACCURACY_METERS: 150,        // Fixes less precise than this are not trusted
+  POSITION_TIMEOUT_MS: 10000       // Geolocation request timeout
+};
+
+/**
+ * Location Flags
+ *
+ * Stored on attendance records that failed the geofence check when
+ * location verification is not enforced.
+ */
+export const LOCATION_FLAGS = {
+  OUTSIDE: 'outside-geofence',     // Fix is outside the classroom radius
+  UNAVAILABLE: 'location-unavailable', // Student did not share a position
+  LOW_ACCURACY: 'low-accuracy'     // Fix too imprecise to decide
+};
+
+/**
+ * QR Token Error Codes
+ *
+ * Distinct reasons a scanned attendance token can be rejected.
+ */
+export const QR_ERROR_CODES = {
+  MALFORMED: 'qr/malformed',             // Not an attendance token
+  FORGED: 'qr/forged',                   // Signature does not match
+  EXPIRED: 'qr/expired',                 // Window is too old
+  NOT_YET_VALID: 'qr/not-yet-valid',     // Window is in the future
+  REPLAYED: 'qr/replayed',               // Token already redeemed on this device
+  SESSION_MISMATCH: 'qr/session-mismatch', // Token is for a different session
+  SESSION_NOT_FOUND: 'qr/session-not-found', // No secret stored for the session
+  SESSION_EXPIRED: 'qr/session-expired',  // Mark landed after the session window
+  CLOCK_UNAVAILABLE: 'qr/clock-unavailable', // Server time could not be measured
+  LOCATION_UNAVAILABLE: 'qr/location-unavailable', // Required position missing or imprecise
+  OUTSIDE_GEOFENCE: 'qr/outside-geofence', // Position is outside the classroom
+  DEVICE_PENDING: 'qr/device-pending',   // Device awaits approval
+  DEVICE_REJECTED: 'qr/device-rejected', // Device was blocked
+  ALREADY_MARKED: 'qr/already-marked',   // Student already has a record for the session
+  RELAYED: 'qr/relayed',                 // Window already redeemed on another device
+  MARK_REMOVED: 'qr/mark-removed',       // Faculty ejected the student's mark
+  NOT_ENROLLED: 'qr/not-enrolled',       // Student's batch is not covered by the session
+  MARK_DENIED: 'qr/mark-denied',         // The attendance rules refused the write
+  EXPIRED_DURING_SIGN_IN: 'qr/expired-during-sign-in' // Scan link's window lapsed while signing in
+};
+
+/**
+ * QR Token Error Messages
+ *
+ * Student-facing messages for each QR error code.
+ */
+export const QR_ERROR_MESSAGES = {
+  [QR_ERROR_CODES.MALFORMED]: 'Invalid QR code. Please scan the attendance QR code from your faculty.',
+  [QR_ERROR_CODES.FORGED]: 'This QR code could not be verified. Please scan the code shown by your faculty.',
+  [QR_ERROR_CODES.EXPIRED]: 'QR code has expired. Please scan the code currently on screen.',
+  [QR_ERROR_CODES.NOT_YET_VALID]: 'QR code is not valid yet. Please check your device time and scan again.',
+  [QR_ERROR_CODES.REPLAYED]: 'This QR code has already been used on this device.',
+  [QR_ERROR_CODES.SESSION_MISMATCH]: 'This QR code belongs to a different attendance session.',
+  [QR_ERROR_CODES.SESSION_NOT_FOUND]: 'Attendance session not found. Please ask your faculty to start a new session.',
+  [QR_ERROR_CODES.SESSION_EXPIRED]: 'This attendance session has closed. Please contact your faculty.',
+  [QR_ERROR_CODES.CLOCK_UNAVAILABLE]: 'Could not verify the current time. Please check your internet connection and try again.',
+  [QR_ERROR_CODES.LOCATION_UNAVAILABLE]: 'Your location is required for this session. Please allow location access and try again.',
+  [QR_ERROR_CODES.OUTSIDE_GEOFENCE]: 'You appear to be outside the classroom. Attendance can only be marked in class.',
+  [QR_ERROR_CODES.DEVICE_PENDING]: 'This device is not registered to your account yet. You have reached your device limit, so a request has been sent to your faculty for approval.',
+  [QR_ERROR_CODES.DEVICE_REJECTED]: 'This device has been blocked from marking attendance for your account. Please use your registered device or contact your faculty.',
+  [QR_ERROR_CODES.ALREADY_MARKED]: 'Your attendance is already marked for this session.',
+  [QR_ERROR_CODES.RELAYED]: 'This QR code was already used on another device. Please scan the code shown in class yourself.',
+  [QR_ERROR_CODES.MARK_REMOVED]: 'Your attendance mark for this session was removed by your faculty. Please speak to them.',
+  [QR_ERROR_CODES.NOT_ENROLLED]: 'This attendance session is not for your batch.',
+  [QR_ERROR_CODES.MARK_DENIED]: 'Your attendance could not be recorded for this code. Please scan the code currently on screen and try again.',
+  [QR_ERROR_CODES.EXPIRED_DURING_SIGN_IN]: 'The code expired while you were signing in. You are signed in now, so please scan the code currently on screen again.'
+};
+
 /**
  * Standard Error Messages
- * 
+ *
  * Reusable error messages for common validation scenarios.
  */
 export const ERROR_MESSAGES = {
@@ -188,11 +590,38 @@ export default {
   SUBJECTS_BY_DEPARTMENT,
   USER_ROLES,
   ATTENDANCE_STATUS,
+  PHOTO_REVIEW_STATUS,
+  LATE_CREDIT_POLICY,
+  LATE_MARKING,
+  PERIOD_CHECK_MODES,
+  PERIOD_ATTENDANCE,
+  SESSION_STATES,
+  SESSION_TRANSITIONS,
   EMAIL_DOMAINS,
   FILE_UPLOAD,
+  IMAGE_PROCESSING,
+  MEDIA_RETENTION,
   ATTENDANCE_THRESHOLDS,
+  DEVICE_STATUS,
+  DEVICE_REGISTRY,
+  PROXY_DETECTION,
   DEVICE_TYPES,
   PERIOD_OPTIONS,
+  ACADEMIC_CATALOG,
+  WEEKDAYS,
+  TIMETABLE_CONFIG,
   ACADEMIC_YEAR,
+  QR_TOKEN_CONFIG,
+  RELAY_PROTECTION,
+  PHOTO_HASH,
+  LIVENESS_CHALLENGES,
+  LIVENESS_PROMPTS,
+  LIVENESS,
+  OFFLINE_QUEUE,
+  QR_PAYLOAD_CONFIG,
+  GEOFENCE_CONFIG,
+  LOCATION_FLAGS,
+  QR_ERROR_CODES,
+  QR_ERROR_MESSAGES,
   ERROR_MESSAGES
 };
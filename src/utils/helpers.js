@@ -3,7 +3,15 @@ import {
   FILE_UPLOAD, 
   ATTENDANCE_THRESHOLDS,
   TIME_FORMATS,
-  DEVICE_TYPES 
+  DEVICE_TYPES,
+  GEOFENCE_CONFIG,
+  ATTENDANCE_STATUS,
+  PHOTO_REVIEW_STATUS,
+  LATE_CREDIT_POLICY,
+  LATE_MARKING,
+  MEDIA_RETENTION,
+  TIMETABLE_CONFIG,
+  WEEKDAYS
 } from './constants';
 
 /**
@@ -193,6 +201,30 @@ export const isMobileDevice = () => {
   return detectDeviceType() === DEVICE_TYPES.MOBILE || window.innerWidth <= 768;
 };
 
+/**
+ * Check if the browser reports a network connection
+ * @returns {boolean} Online status
+ */
+export const isOnline = () => navigator.onLine;
+
+/**
+ * Listen to network status changes
+ * @param {Function} callback - Called with true when online, false when offline
+ * @returns {Function} Cleanup function
+ */
+export const onNetworkChange = (callback) => {
+  const handleOnline = () => callback(true);
+  const handleOffline = () => callback(false);
+
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+  };
+};
+
 /**
  * Generate device fingerprint
  * @returns {string} Device fingerprint
@@ -225,6 +257,152 @@ export const generateDeviceFingerprint = () => {
   return Math.abs(hash).toString();
 };
 
+/**
+ * Get the device's current position
+ * @param {object} options - Geolocation options
+ * @returns {Promise<object>} { latitude, longitude, accuracy } in degrees and meters
+ */
+export const getCurrentPosition = (options = {}) => {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Geolocation is not supported on this device'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      position => resolve({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy
+      }),
+      error => reject(new Error(error.message)),
+      { enableHighAccuracy: true, maximumAge: 0, timeout: 10000, ...options }
+    );
+  });
+};
+
+/**
+ * Great-circle distance between two coordinates (haversine)
+ * @param {object} from - { latitude, longitude }
+ * @param {object} to - { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+export const calculateDistanceMeters = (from, to) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const earthRadius = 6371000;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * earthRadius * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Convert geofence form settings into the session document field
+ * @param {object} settings - { enabled, radiusMeters, location }
+ * @returns {object|null} { latitude, longitude, radiusMeters, accuracyMeters } or null
+ */
+export const buildSessionGeofence = (settings) => {
+  if (!settings?.enabled || !settings.location) return null;
+  return {
+    latitude: settings.location.latitude,
+    longitude: settings.location.longitude,
+    radiusMeters: Number(settings.radiusMeters) || GEOFENCE_CONFIG.DEFAULT_RADIUS_METERS,
+    accuracyMeters: Math.round(settings.location.accuracy)
+  };
+};
+
+/**
+ * Batches an attendance session covers
+ *
+ * Combined sessions list several batches in `batches`; older sessions carry
+ * a single `batchId`/`batch`.
+ * @param {object} session - Attendance session data
+ * @returns {Array} Batches { id, name }
+ */
+export const getSessionBatches = (session) => {
+  if (session.batches?.length) {
+    return session.batches.map((id, index) => ({ id, name: session.batchNames?.[index] || id }));
+  }
+  const id = session.batchId || session.batch;
+  return id ? [{ id, name: session.batchName || id }] : [];
+};
+
+/**
+ * Session batch a student is enrolled in
+ * @param {object} profile - Student profile ({ batchId } or { batch })
+ * @param {object} session - Attendance session data
+ * @returns {object|null} Matching batch { id, name }, or null
+ */
+export const findEnrolledBatch = (profile, session) => {
+  const studentBatches = [profile?.batchId, profile?.batch].filter(Boolean);
+  return getSessionBatches(session).find(batch =>
+    studentBatches.includes(batch.id) || studentBatches.includes(batch.name)
+  ) || null;
+};
+
+/**
+ * Minutes since midnight for a time of day
+ * @param {string} time - Time as HH:MM
+ * @returns {number} Minutes since midnight
+ */
+export const timeOfDayToMinutes = (time = '') => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+/**
+ * Time of day of a date, as used by timetable slots
+ * @param {Date} date - Date to format
+ * @returns {string} Time as HH:MM
+ */
+export const toTimeOfDay = (date = new Date()) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+/**
+ * Start of a timetable slot on a given day
+ * @param {object} slot - Timetable slot { startTime }
+ * @param {Date} date - Day of the class
+ * @returns {Date} Scheduled start
+ */
+export const getSlotStart = (slot, date = new Date()) => {
+  const start = new Date(date);
+  start.setHours(0, timeOfDayToMinutes(slot.startTime), 0, 0);
+  return start;
+};
+
+/**
+ * Timetable slot running now, or about to start
+ *
+ * A slot matches from TIMETABLE_CONFIG.EARLY_START_MINUTES before its start
+ * until its end; if two overlap, the one that starts first wins.
+ * @param {Array} slots - Faculty timetable slots
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {object|null} Current slot
+ */
+export const findCurrentSlot = (slots, nowMs = Date.now()) => {
+  const now = new Date(nowMs);
+  const minutes = now.getHours() * 60 + now.getMinutes();
+
+  return slots
+    .filter(slot =>
+      Number(slot.weekday) === now.getDay() &&
+      minutes >= timeOfDayToMinutes(slot.startTime) - TIMETABLE_CONFIG.EARLY_START_MINUTES &&
+      minutes < timeOfDayToMinutes(slot.endTime)
+    )
+    .sort((a, b) => timeOfDayToMinutes(a.startTime) - timeOfDayToMinutes(b.startTime))[0] || null;
+};
+
+/**
+ * Short label for a timetable slot, e.g. "Mon 09:00–10:00 · Room 101"
+ * @param {object} slot - Timetable slot
+ * @returns {string} Slot label
+ */
+export const formatSlotLabel = (slot) => {
+  const day = WEEKDAYS.find(weekday => weekday.value === Number(slot.weekday))?.short || '';
+  const label = `${day} ${slot.startTime}–${slot.endTime}`;
+  return slot.room ? `${label} · ${slot.room}` : label;
+};
+
 /**
  * Calculate attendance percentage
  * @param {number} present - Number of present days
@@ -236,6 +414,179 @@ export const calculateAttendancePercentage = (present, total) => {
   return Math.round((present / total) * 100 * 100) / 100; // Round to 2 decimal places
 };
 
+/**
+ * Period of a session in progress at a given time
+ *
+ * `periodStarts` holds the start of each period reached so far; sessions
+ * without it are in their first period.
+ * @param {object} session - Attendance session data
+ * @param {number} timeMs - Time in milliseconds
+ * @returns {number} Period number, starting at 1
+ */
+export const getSessionPeriodAt = (session, timeMs) => {
+  const starts = (session.periodStarts || []).map(start =>
+    start?.toMillis?.() ?? new Date(start).getTime()
+  );
+  const reached = starts.filter(start => start <= timeMs).length;
+  return Math.max(1, reached);
+};
+
+/**
+ * Periods a record counts for
+ *
+ * Absent records count for none; records written before per-period
+ * tracking count for all their periods.
+ * @param {object} record - Attendance record
+ * @returns {number} Periods attended
+ */
+export const getAttendedPeriodCount = (record) => {
+  if (record.status === ATTENDANCE_STATUS.ABSENT) return 0;
+  return record.periodsAttended?.length ?? (Number(record.periods) || 1);
+};
+
+/**
+ * Build the late-marking policy from system config
+ * @param {object} config - system_config document (optional)
+ * @returns {object} { thresholdMinutes, creditPolicy, partialCredit }
+ */
+export const getLatePolicy = (config = {}) => ({
+  thresholdMinutes: config.lateMarkThreshold ?? LATE_MARKING.DEFAULT_THRESHOLD_MINUTES,
+  creditPolicy: config.lateCreditPolicy || LATE_MARKING.DEFAULT_CREDIT_POLICY,
+  partialCredit: config.latePartialCredit ?? LATE_MARKING.DEFAULT_PARTIAL_CREDIT
+});
+
+/**
+ * Build the media retention policy from system config
+ * @param {object} config - system_config document (optional)
+ * @returns {object} { photoRetentionDays, qrCodeRetentionHours, photoRetentionMs, qrCodeRetentionMs }
+ */
+export const getRetentionPolicy = (config = {}) => {
+  const photoRetentionDays = config.photoRetentionDays ?? MEDIA_RETENTION.DEFAULT_PHOTO_RETENTION_DAYS;
+  const qrCodeRetentionHours = config.qrCodeRetentionHours ?? MEDIA_RETENTION.DEFAULT_QR_CODE_RETENTION_HOURS;
+  return {
+    photoRetentionDays,
+    qrCodeRetentionHours,
+    photoRetentionMs: photoRetentionDays * 24 * 60 * 60 * 1000,
+    qrCodeRetentionMs: qrCodeRetentionHours * 60 * 60 * 1000
+  };
+};
+
+/**
+ * Work out whether a mark is late
+ * @param {number} markedAtMs - When the student marked (ms)
+ * @param {number} startMs - When the lecture was due to start (ms)
+ * @param {number} thresholdMinutes - Grace period before a mark counts as late
+ * @returns {object} { status, minutesLate }
+ */
+export const getLateStatus = (markedAtMs, startMs, thresholdMinutes) => {
+  const minutesLate = Math.max(0, Math.floor((markedAtMs - startMs) / 60000));
+  return {
+    status: minutesLate > thresholdMinutes ? ATTENDANCE_STATUS.LATE : ATTENDANCE_STATUS.PRESENT,
+    minutesLate
+  };
+};
+
+/**
+ * Credit a single attendance status earns under the late policy
+ * @param {string} status - Attendance status
+ * @param {object} policy - Policy from getLatePolicy
+ * @returns {number} Credit between 0 and 1
+ */
+export const getAttendanceCredit = (status, policy = getLatePolicy()) => {
+  if (status === ATTENDANCE_STATUS.PRESENT) return 1;
+  if (status !== ATTENDANCE_STATUS.LATE) return 0;
+  if (policy.creditPolicy === LATE_CREDIT_POLICY.FULL) return 1;
+  if (policy.creditPolicy === LATE_CREDIT_POLICY.PARTIAL) return policy.partialCredit;
+  return 0;
+};
+
+/**
+ * Status change a photo review decision makes to an attendance record
+ *
+ * Rejecting makes the mark absent and keeps what it was in previousStatus.
+ * Approving an offline scan awaiting review gives it the status it was
+ * captured with; approving a mark that was rejected earlier restores its
+ * previous status (ejected marks stay absent). `roster` says whether the
+ * student joins or leaves the session's present roll-up.
+ * @param {object} record - Attendance record
+ * @param {string} decision - PHOTO_REVIEW_STATUS.APPROVED or REJECTED
+ * @returns {object} { status, previousStatus?, roster: 'join' | 'leave' | null }
+ */
+export const getPhotoReviewChange = (record, decision) => {
+  const status = record.status || ATTENDANCE_STATUS.PRESENT;
+  const counted = (value) =>
+    value !== ATTENDANCE_STATUS.ABSENT && value !== ATTENDANCE_STATUS.PENDING_REVIEW;
+  const onApproval = (value) =>
+    value === ATTENDANCE_STATUS.PENDING_REVIEW
+      ? record.statusOnApproval || ATTENDANCE_STATUS.PRESENT
+      : value;
+
+  if (decision === PHOTO_REVIEW_STATUS.REJECTED) {
+    if (status === ATTENDANCE_STATUS.ABSENT) return { status, roster: null };
+    return {
+      status: ATTENDANCE_STATUS.ABSENT,
+      previousStatus: status,
+      roster: counted(status) ? 'leave' : null
+    };
+  }
+
+  const restoring =
+    status === ATTENDANCE_STATUS.ABSENT &&
+    record.photoReviewStatus === PHOTO_REVIEW_STATUS.REJECTED &&
+    record.previousStatus &&
+    !record.ejected;
+  if (status !== ATTENDANCE_STATUS.PENDING_REVIEW && !restoring) {
+    return { status, roster: null };
+  }
+  const approved = onApproval(restoring ? record.previousStatus : status);
+  return { status: approved, roster: counted(approved) ? 'join' : null };
+};
+
+/**
+ * Summarize attendance records under the late policy
+ *
+ * Excused records, and offline scans still awaiting faculty review, are
+ * left out of the total. The percentage is weighted by periods: credited
+ * periods attended over periods held.
+ * @param {Array} records - Attendance records with a status field
+ * @param {object} policy - Policy from getLatePolicy
+ * @returns {object} { present, late, absent, excused, pendingReview, total, periodsTotal, periodsAttended, credited, percentage }
+ */
+export const summarizeAttendance = (records, policy = getLatePolicy()) => {
+  const summary = {
+    present: 0, late: 0, absent: 0, excused: 0, pendingReview: 0, total: 0,
+    periodsTotal: 0, periodsAttended: 0, credited: 0
+  };
+
+  records.forEach(record => {
+    if (record.status === ATTENDANCE_STATUS.EXCUSED) {
+      summary.excused++;
+      return;
+    }
+    if (record.status === ATTENDANCE_STATUS.PENDING_REVIEW) {
+      summary.pendingReview++;
+      return;
+    }
+    if (record.status === ATTENDANCE_STATUS.PRESENT) summary.present++;
+    else if (record.status === ATTENDANCE_STATUS.LATE) summary.late++;
+    else summary.absent++;
+    summary.total++;
+
+    // Each session weighs as many periods as it ran; credit only the
+    // periods the student was actually there for
+    const periods = Number(record.periods) || 1;
+    const attended = Math.min(periods, getAttendedPeriodCount(record));
+    summary.periodsTotal += periods;
+    summary.periodsAttended += attended;
+    summary.credited += getAttendanceCredit(record.status, policy) * attended;
+  });
+
+  return {
+    ...summary,
+    percentage: calculateAttendancePercentage(summary.credited, summary.periodsTotal)
+  };
+};
+
 /**
  * Get attendance status based on percentage
  * @param {number} percentage - Attendance percentage
@@ -447,8 +798,28 @@ export default {
   formatFileSize,
   detectDeviceType,
   isMobileDevice,
+  isOnline,
+  onNetworkChange,
   generateDeviceFingerprint,
+  getCurrentPosition,
+  calculateDistanceMeters,
+  buildSessionGeofence,
+  getSessionBatches,
+  findEnrolledBatch,
+  timeOfDayToMinutes,
+  toTimeOfDay,
+  getSlotStart,
+  findCurrentSlot,
+  formatSlotLabel,
   calculateAttendancePercentage,
+  getSessionPeriodAt,
+  getAttendedPeriodCount,
+  getLatePolicy,
+  getRetentionPolicy,
+  getLateStatus,
+  getAttendanceCredit,
+  getPhotoReviewChange,
+  summarizeAttendance,
   getAttendanceStatus,
   debounce,
   throttle,
@@ -0,0 +1,148 @@
+/**
+ * Helper Tests
+ *
+ * Late marking, period lookup and photo review changes from
+ * src/utils/helpers.js. The late threshold here is the one the attendance
+ * create rule recomputes in firestore.rules (getMarkStatus), so the two
+ * must agree on its edges.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getLateStatus, getSessionPeriodAt, getPhotoReviewChange } from '../src/utils/helpers';
+import { ATTENDANCE_STATUS, PHOTO_REVIEW_STATUS } from '../src/utils/constants';
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2026, 9, 19, 9, 0);
+
+describe('getLateStatus', () => {
+  it('marks a scan at the start as present', () => {
+    expect(getLateStatus(START, START, 15)).toEqual({ status: ATTENDANCE_STATUS.PRESENT, minutesLate: 0 });
+  });
+
+  it('treats a scan before the start as on time', () => {
+    expect(getLateStatus(START - 5 * MINUTE, START, 15)).toEqual({
+      status: ATTENDANCE_STATUS.PRESENT,
+      minutesLate: 0
+    });
+  });
+
+  it('stays present up to the last second of the threshold minute', () => {
+    expect(getLateStatus(START + 16 * MINUTE - 1, START, 15)).toEqual({
+      status: ATTENDANCE_STATUS.PRESENT,
+      minutesLate: 15
+    });
+  });
+
+  it('turns late once a whole minute past the threshold', () => {
+    expect(getLateStatus(START + 16 * MINUTE, START, 15)).toEqual({
+      status: ATTENDANCE_STATUS.LATE,
+      minutesLate: 16
+    });
+  });
+
+  it('marks any scan after the start late with a zero threshold', () => {
+    expect(getLateStatus(START + MINUTE, START, 0).status).toBe(ATTENDANCE_STATUS.LATE);
+    expect(getLateStatus(START + MINUTE - 1, START, 0).status).toBe(ATTENDANCE_STATUS.PRESENT);
+  });
+});
+
+describe('getSessionPeriodAt', () => {
+  const session = {
+    periodStarts: [new Date(START), new Date(START + 50 * MINUTE), new Date(START + 100 * MINUTE)]
+  };
+
+  it('is the first period for sessions without periodStarts', () => {
+    expect(getSessionPeriodAt({}, START + 200 * MINUTE)).toBe(1);
+  });
+
+  it('counts the periods started by the given time', () => {
+    expect(getSessionPeriodAt(session, START + 10 * MINUTE)).toBe(1);
+    expect(getSessionPeriodAt(session, START + 50 * MINUTE)).toBe(2);
+    expect(getSessionPeriodAt(session, START + 99 * MINUTE)).toBe(2);
+    expect(getSessionPeriodAt(session, START + 120 * MINUTE)).toBe(3);
+  });
+
+  it('is the first period before the session started', () => {
+    expect(getSessionPeriodAt(session, START - MINUTE)).toBe(1);
+  });
+
+  it('reads Firestore timestamps and ISO strings', () => {
+    const stored = {
+      periodStarts: [
+        { toMillis: () => START },
+        new Date(START + 50 * MINUTE).toISOString()
+      ]
+    };
+    expect(getSessionPeriodAt(stored, START + 60 * MINUTE)).toBe(2);
+  });
+});
+
+describe('getPhotoReviewChange', () => {
+  const { APPROVED, REJECTED } = PHOTO_REVIEW_STATUS;
+  const review = (record, decision) => {
+    const change = getPhotoReviewChange(record, decision);
+    return {
+      ...record,
+      status: change.status,
+      previousStatus: change.previousStatus ?? record.previousStatus,
+      photoReviewStatus: decision
+    };
+  };
+
+  it('rejects a present mark to absent and drops it from the roll-up', () => {
+    expect(getPhotoReviewChange({ status: ATTENDANCE_STATUS.LATE }, REJECTED)).toEqual({
+      status: ATTENDANCE_STATUS.ABSENT,
+      previousStatus: ATTENDANCE_STATUS.LATE,
+      roster: 'leave'
+    });
+  });
+
+  it('restores the previous status when a rejected mark is approved', () => {
+    const rejected = review({ status: ATTENDANCE_STATUS.LATE }, REJECTED);
+    expect(getPhotoReviewChange(rejected, APPROVED)).toEqual({
+      status: ATTENDANCE_STATUS.LATE,
+      roster: 'join'
+    });
+  });
+
+  it('gives an offline scan its captured status on approval, also after a rejection', () => {
+    const pending = { status: ATTENDANCE_STATUS.PENDING_REVIEW, statusOnApproval: ATTENDANCE_STATUS.LATE };
+    expect(getPhotoReviewChange(pending, APPROVED)).toEqual({
+      status: ATTENDANCE_STATUS.LATE,
+      roster: 'join'
+    });
+
+    const rejected = review(pending, REJECTED);
+    expect(rejected.status).toBe(ATTENDANCE_STATUS.ABSENT);
+    expect(getPhotoReviewChange(pending, REJECTED).roster).toBeNull();
+    expect(getPhotoReviewChange(rejected, APPROVED)).toEqual({
+      status: ATTENDANCE_STATUS.LATE,
+      roster: 'join'
+    });
+  });
+
+  it('leaves approved present marks as they are', () => {
+    expect(getPhotoReviewChange({ status: ATTENDANCE_STATUS.PRESENT }, APPROVED)).toEqual({
+      status: ATTENDANCE_STATUS.PRESENT,
+      roster: null
+    });
+  });
+
+  it('keeps absent marks absent unless a photo rejection made them so', () => {
+    const ejected = {
+      status: ATTENDANCE_STATUS.ABSENT,
+      previousStatus: ATTENDANCE_STATUS.PRESENT,
+      photoReviewStatus: REJECTED,
+      ejected: true
+    };
+    expect(getPhotoReviewChange(ejected, APPROVED).status).toBe(ATTENDANCE_STATUS.ABSENT);
+    expect(getPhotoReviewChange({ status: ATTENDANCE_STATUS.ABSENT }, APPROVED).status).toBe(ATTENDANCE_STATUS.ABSENT);
+    expect(getPhotoReviewChange({ status: ATTENDANCE_STATUS.ABSENT }, REJECTED)).toEqual({
+      status: ATTENDANCE_STATUS.ABSENT,
+      roster: null
+    });
+  });
+});
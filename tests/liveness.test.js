@@ -0,0 +1,120 @@
+/**
+ * Liveness Tests
+ *
+ * The frame evaluators behind the motion fallback in
+ * src/services/liveness.js, run on synthetic grey frames: a textured scene
+ * shifted sideways stands in for a head turn, scaled about its centre for
+ * moving closer, and with only the eye band changed for a blink.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  regionMotion,
+  estimateShift,
+  estimateGrowth,
+  matchesMotionChallenge
+} from '../src/services/liveness';
+import { LIVENESS, LIVENESS_CHALLENGES } from '../src/utils/constants';
+
+const WIDTH = LIVENESS.FRAME_WIDTH;
+const HEIGHT = 120;
+
+// Grey level of the scene at a point; varies along x so columns line up
+const scene = (x, y) =>
+  128 + 50 * Math.sin(x * 0.3) + 40 * Math.sin(x * 0.07 + 1) + 10 * Math.sin(y * 0.2);
+
+/**
+ * Frame drawn from a function of frame coordinates
+ * @param {Function} shade - (x, y) => grey level
+ * @returns {object} { pixels, width, height }
+ */
+const makeFrame = (shade) => {
+  const pixels = new Uint8ClampedArray(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      pixels[y * WIDTH + x] = shade(x, y);
+    }
+  }
+  return { pixels, width: WIDTH, height: HEIGHT };
+};
+
+const base = makeFrame(scene);
+const shifted = (pixels) => makeFrame((x, y) => scene(x - pixels, y));
+const grown = (factor) => makeFrame((x, y) => scene(WIDTH / 2 + (x - WIDTH / 2) / factor, y));
+
+// Eye band as liveness.js places it: x 25-75%, y 25-45% of the frame
+const inEyeBand = (x, y) =>
+  x >= WIDTH * 0.25 && x < WIDTH * 0.75 && y >= HEIGHT * 0.25 && y < HEIGHT * 0.45;
+const eyesClosed = makeFrame((x, y) => (inEyeBand(x, y) ? scene(x, y) - 40 : scene(x, y)));
+
+describe('regionMotion', () => {
+  const whole = { x: 0, y: 0, width: 1, height: 1 };
+
+  it('is zero for identical frames', () => {
+    expect(regionMotion(base, base, whole)).toBe(0);
+  });
+
+  it('averages the grey-level change inside the region only', () => {
+    const brighter = makeFrame((x, y) => (x < WIDTH / 2 ? scene(x, y) + 20 : scene(x, y)));
+    expect(regionMotion(base, brighter, { x: 0, y: 0, width: 0.5, height: 1 })).toBeCloseTo(20, 0);
+    expect(regionMotion(base, brighter, { x: 0.5, y: 0, width: 0.5, height: 1 })).toBe(0);
+  });
+});
+
+describe('estimateShift', () => {
+  it('finds no shift between identical frames', () => {
+    expect(estimateShift(base, base)).toBe(0);
+  });
+
+  it('finds a sideways shift in either direction', () => {
+    expect(estimateShift(base, shifted(24))).toBeCloseTo(24 / WIDTH, 5);
+    expect(estimateShift(base, shifted(-24))).toBeCloseTo(-24 / WIDTH, 5);
+  });
+});
+
+describe('estimateGrowth', () => {
+  it('is 1 for identical frames', () => {
+    expect(estimateGrowth(base, base)).toBe(1);
+  });
+
+  it('finds a picture scaled up about its centre', () => {
+    expect(estimateGrowth(base, grown(1.4))).toBeCloseTo(1.4, 1);
+  });
+});
+
+describe('matchesMotionChallenge', () => {
+  it('passes a head turn past TURN_SHIFT and not a small sway', () => {
+    const turn = Math.ceil(LIVENESS.TURN_SHIFT * WIDTH) + 2;
+    expect(matchesMotionChallenge(LIVENESS_CHALLENGES.TURN_HEAD, base, shifted(turn), {})).toBe(true);
+    expect(matchesMotionChallenge(LIVENESS_CHALLENGES.TURN_HEAD, base, shifted(4), {})).toBe(false);
+  });
+
+  it('passes moving closer past CLOSER_GROWTH and not a small lean', () => {
+    expect(matchesMotionChallenge(LIVENESS_CHALLENGES.MOVE_CLOSER, base, grown(1.5), {})).toBe(true);
+    expect(matchesMotionChallenge(LIVENESS_CHALLENGES.MOVE_CLOSER, base, grown(1.1), {})).toBe(false);
+  });
+
+  it('passes a blink only once the eyes open again', () => {
+    const state = {};
+    expect(matchesMotionChallenge(LIVENESS_CHALLENGES.BLINK, base, eyesClosed, state)).toBe(false);
+    expect(state.eyesMoved).toBe(true);
+    expect(matchesMotionChallenge(LIVENESS_CHALLENGES.BLINK, base, base, state)).toBe(true);
+  });
+
+  it('does not take a change of the whole picture for a blink', () => {
+    const state = {};
+    const darker = makeFrame((x, y) => scene(x, y) - 40);
+    expect(matchesMotionChallenge(LIVENESS_CHALLENGES.BLINK, base, darker, state)).toBe(false);
+    expect(matchesMotionChallenge(LIVENESS_CHALLENGES.BLINK, base, base, state)).toBe(false);
+  });
+
+  it('does not pass an unchanged picture or an unknown challenge', () => {
+    Object.values(LIVENESS_CHALLENGES).forEach(challenge => {
+      expect(matchesMotionChallenge(challenge, base, base, {})).toBe(false);
+    });
+    expect(matchesMotionChallenge('wave', base, shifted(40), {})).toBe(false);
+  });
+});
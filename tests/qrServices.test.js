@@ -0,0 +1,216 @@
+/**
+ * QR Token Service Tests
+ *
+ * Signing and verification of rotating tokens, base45, the compact TLV
+ * payload and the scan link / JSON formats from src/services/qrServices.js.
+ * The signature is also recomputed here the way isSignedWindow in
+ * firestore.rules does, so the two cannot drift apart unnoticed.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import { createHash } from 'node:crypto';
+import { describe, it, expect } from 'vitest';
+import {
+  generateSessionSecret,
+  getWindowIndex,
+  getWindowStart,
+  createQRToken,
+  checkQRTokenWindow,
+  verifyQRToken,
+  getTokenKey,
+  bytesToBase45,
+  base45ToBytes,
+  encodeQRPayload,
+  decodeQRPayload
+} from '../src/services/qrServices';
+import { QR_TOKEN_CONFIG, QR_PAYLOAD_CONFIG, QR_ERROR_CODES } from '../src/utils/constants';
+
+const SESSION_ID = 'session_1700000000000_ab12cd';
+const SECRET = 'c2VjcmV0LWtleS1mb3ItdGVzdHMtb25seS0wMTIzNDU2Nzg5';
+const NOW = Date.UTC(2026, 9, 19, 9, 0, 2);
+const STEP_MS = QR_TOKEN_CONFIG.STEP_SECONDS * 1000;
+const ORIGIN = 'https://attendance.example.com';
+
+const tokenAt = (now = NOW, sessionId = SESSION_ID, secret = SECRET) =>
+  createQRToken(sessionId, secret, { now });
+
+// Flip the last hex digit of a signature
+const tamper = (signature) =>
+  signature.slice(0, -1) + (signature.endsWith('0') ? '1' : '0');
+
+describe('token windows', () => {
+  it('splits time into STEP_SECONDS windows', () => {
+    const window = getWindowIndex(NOW);
+    expect(getWindowStart(window)).toBeLessThanOrEqual(NOW);
+    expect(getWindowStart(window + 1)).toBeGreaterThan(NOW);
+    expect(getWindowIndex(getWindowStart(window))).toBe(window);
+  });
+
+  it('makes a fresh base64url secret each time', () => {
+    const secret = generateSessionSecret();
+    expect(secret).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(secret).not.toBe(generateSessionSecret());
+  });
+});
+
+describe('signing and verification', () => {
+  it('signs the window the way the rules recompute it', async () => {
+    const token = await tokenAt();
+    const expected = createHash('sha256')
+      .update(`${SECRET}:${SESSION_ID}:${token.window}:${SECRET}`)
+      .digest('hex');
+    expect(token).toEqual({ sessionId: SESSION_ID, window: getWindowIndex(NOW), signature: expected });
+  });
+
+  it('verifies a token it created', async () => {
+    const token = await tokenAt();
+    expect(await verifyQRToken(token, SECRET, { now: NOW })).toEqual({ valid: true, window: token.window });
+  });
+
+  it('rejects a tampered signature as forged', async () => {
+    const token = await tokenAt();
+    const result = await verifyQRToken({ ...token, signature: tamper(token.signature) }, SECRET, { now: NOW });
+    expect(result).toEqual({ valid: false, code: QR_ERROR_CODES.FORGED });
+  });
+
+  it('rejects a token moved to another window or session as forged', async () => {
+    const token = await tokenAt();
+    expect(await verifyQRToken({ ...token, window: token.window + 1 }, SECRET, { now: NOW }))
+      .toEqual({ valid: false, code: QR_ERROR_CODES.FORGED });
+    expect(await verifyQRToken({ ...token, sessionId: 'session_other' }, SECRET, { now: NOW }))
+      .toEqual({ valid: false, code: QR_ERROR_CODES.FORGED });
+  });
+
+  it("rejects a token signed with another session's secret", async () => {
+    const token = await tokenAt(NOW, SESSION_ID, generateSessionSecret());
+    expect((await verifyQRToken(token, SECRET, { now: NOW })).code).toBe(QR_ERROR_CODES.FORGED);
+  });
+
+  it('accepts the grace and future windows and nothing beyond', async () => {
+    const token = await tokenAt();
+    const at = (windows) => checkQRTokenWindow(token, { now: NOW + windows * STEP_MS });
+
+    expect(at(QR_TOKEN_CONFIG.GRACE_WINDOWS).valid).toBe(true);
+    expect(at(QR_TOKEN_CONFIG.GRACE_WINDOWS + 1)).toEqual({ valid: false, code: QR_ERROR_CODES.EXPIRED });
+    expect(at(-QR_TOKEN_CONFIG.FUTURE_WINDOWS).valid).toBe(true);
+    expect(at(-QR_TOKEN_CONFIG.FUTURE_WINDOWS - 1)).toEqual({ valid: false, code: QR_ERROR_CODES.NOT_YET_VALID });
+  });
+
+  it('reports an expired window even when the signature is genuine', async () => {
+    const token = await tokenAt(NOW - 10 * STEP_MS);
+    expect(await verifyQRToken(token, SECRET, { now: NOW })).toEqual({ valid: false, code: QR_ERROR_CODES.EXPIRED });
+  });
+
+  it('rejects a token already redeemed on this device', async () => {
+    const token = await tokenAt();
+    expect(checkQRTokenWindow(token, { now: NOW, redeemedTokens: [getTokenKey(token)] }))
+      .toEqual({ valid: false, code: QR_ERROR_CODES.REPLAYED });
+  });
+
+  it('rejects malformed tokens', async () => {
+    const token = await tokenAt();
+    const malformed = [
+      null,
+      {},
+      { ...token, sessionId: 42 },
+      { ...token, window: '123' },
+      { ...token, window: 1.5 },
+      { ...token, signature: token.signature.toUpperCase() },
+      { ...token, signature: token.signature.slice(1) }
+    ];
+    for (const candidate of malformed) {
+      expect(checkQRTokenWindow(candidate, { now: NOW })).toEqual({ valid: false, code: QR_ERROR_CODES.MALFORMED });
+      expect(await verifyQRToken(candidate, SECRET, { now: NOW })).toEqual({ valid: false, code: QR_ERROR_CODES.MALFORMED });
+    }
+  });
+});
+
+describe('base45', () => {
+  it('matches the RFC 9285 examples', () => {
+    const encoder = new TextEncoder();
+    expect(bytesToBase45(encoder.encode('AB'))).toBe('BB8');
+    expect(bytesToBase45(encoder.encode('Hello!!'))).toBe('%69 VD92EX0');
+    expect(bytesToBase45(encoder.encode('base-45'))).toBe('UJCLQE7W581');
+    expect(new TextDecoder().decode(base45ToBytes('QED8WEX0'))).toBe('ietf!');
+  });
+
+  it('round-trips every byte value, odd and even lengths', () => {
+    const bytes = Uint8Array.from({ length: 257 }, (_, i) => i % 256);
+    expect(base45ToBytes(bytesToBase45(bytes))).toEqual(bytes);
+    expect(base45ToBytes(bytesToBase45(bytes.slice(0, 256)))).toEqual(bytes.slice(0, 256));
+    expect(base45ToBytes('')).toEqual(new Uint8Array(0));
+  });
+
+  it('rejects invalid characters, lengths and chunks', () => {
+    expect(() => base45ToBytes('ab')).toThrow('Invalid base45 character');
+    expect(() => base45ToBytes('BB8B')).toThrow('Invalid base45 length');
+    expect(() => base45ToBytes('GGW')).toThrow('Invalid base45 chunk');
+    expect(() => base45ToBytes('::')).toThrow('Invalid base45 chunk');
+  });
+});
+
+describe('QR payloads', () => {
+  it('round-trips a token through every format', async () => {
+    const token = await tokenAt();
+    for (const format of ['url', 'compact', 'json']) {
+      expect(decodeQRPayload(encodeQRPayload(token, { format, origin: ORIGIN }))).toEqual(token);
+    }
+  });
+
+  it('builds scan links on the portal origin with the compact payload', async () => {
+    const token = await tokenAt();
+    const link = new URL(encodeQRPayload(token, { format: 'url', origin: ORIGIN }));
+    expect(link.origin).toBe(ORIGIN);
+    expect(link.pathname).toBe(QR_PAYLOAD_CONFIG.SCAN_PATH);
+    expect(link.searchParams.get(QR_PAYLOAD_CONFIG.TOKEN_PARAM))
+      .toBe(encodeQRPayload(token, { format: 'compact', origin: ORIGIN }));
+  });
+
+  it('keeps the compact payload in the QR alphanumeric character set', async () => {
+    const compact = encodeQRPayload(await tokenAt(), { format: 'compact', origin: ORIGIN });
+    expect(compact.startsWith(QR_PAYLOAD_CONFIG.PREFIX)).toBe(true);
+    expect(compact).toMatch(/^[0-9A-Z $%*+\-./:]+$/);
+  });
+
+  it('skips unknown TLV fields in a compact payload', async () => {
+    const token = await tokenAt();
+    const bytes = base45ToBytes(encodeQRPayload(token, { format: 'compact', origin: ORIGIN }).slice(QR_PAYLOAD_CONFIG.PREFIX.length));
+    const extended = Uint8Array.from([...bytes, 0x7f, 2, 0xaa, 0xbb]);
+    expect(decodeQRPayload(QR_PAYLOAD_CONFIG.PREFIX + bytesToBase45(extended))).toEqual(token);
+  });
+
+  it('changes the decoded token when the payload is tampered with', async () => {
+    const token = await tokenAt();
+    const bytes = base45ToBytes(encodeQRPayload(token, { format: 'compact', origin: ORIGIN }).slice(QR_PAYLOAD_CONFIG.PREFIX.length));
+    bytes[bytes.length - 1] ^= 0x01;
+    const decoded = decodeQRPayload(QR_PAYLOAD_CONFIG.PREFIX + bytesToBase45(bytes));
+    expect(decoded.signature).not.toBe(token.signature);
+    expect((await verifyQRToken(decoded, SECRET, { now: NOW })).code).toBe(QR_ERROR_CODES.FORGED);
+  });
+
+  it('rejects malformed payloads', async () => {
+    const compact = encodeQRPayload(await tokenAt(), { format: 'compact', origin: ORIGIN });
+    const bytes = base45ToBytes(compact.slice(QR_PAYLOAD_CONFIG.PREFIX.length));
+    const withVersion = (version) => QR_PAYLOAD_CONFIG.PREFIX + bytesToBase45(Uint8Array.from([version, ...bytes.slice(1)]));
+    const truncated = QR_PAYLOAD_CONFIG.PREFIX + bytesToBase45(bytes.slice(0, bytes.length - 4));
+
+    const malformed = [
+      undefined,
+      42,
+      '',
+      'hello',
+      'PW',
+      'PWab',
+      withVersion(QR_PAYLOAD_CONFIG.VERSION + 1),
+      truncated,
+      '{"type":"something-else","sessionId":"x"}',
+      '{not json',
+      `${ORIGIN}/other?t=${compact}`,
+      `${ORIGIN}${QR_PAYLOAD_CONFIG.SCAN_PATH}?t=hello`,
+      `${ORIGIN}${QR_PAYLOAD_CONFIG.SCAN_PATH}`
+    ];
+    malformed.forEach(text => expect(decodeQRPayload(text)).toBeNull());
+  });
+});
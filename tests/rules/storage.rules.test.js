@@ -0,0 +1,190 @@
+/**
+ * Storage Rules Tests
+ *
+ * Runs storage.rules against the Firebase emulators with
+ * @firebase/rules-unit-testing. Roles and session ownership come from
+ * Firestore, so both the Storage and Firestore emulators are needed:
+ *
+ *   npm run test:rules
+ *
+ * The script runs the firebase-tools devDependency, which needs Java for
+ * the emulators. Without them (plain `npm test`) the suite is skipped.
+ *
+ * @author PW Attendance Portal Team
+ * @version 1.0.0
+ */
+
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails
+} from '@firebase/rules-unit-testing';
+
+const PROJECT_ID = 'demo-pw-attendance';
+const MAX_SIZE = 5 * 1024 * 1024; // FILE_UPLOAD.MAX_SIZE
+
+const SESSION_ID = 'session-1';
+const FINALIZED_SESSION_ID = 'session-finalized';
+const EXPIRED_SESSION_ID = 'session-expired';
+const PHOTO_PATH = `attendance_photos/${SESSION_ID}/student-a_1700000000000.jpg`;
+const PROFILE_PHOTO_PATH = 'profile-photos/student-a/1700000000000.jpg';
+const LEAVE_PATH = 'leave_attachments/student-a/1700000000000_note.pdf';
+const QR_PATH = `qr_codes/${SESSION_ID}_1700000000000.png`;
+
+describe.skipIf(!process.env.FIREBASE_STORAGE_EMULATOR_HOST)('storage.rules', () => {
+  let testEnv;
+
+  const storageAs = (uid) =>
+    (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).storage();
+
+  const upload = (uid, path, size, contentType) =>
+    storageAs(uid).ref(path).put(new Uint8Array(size), { contentType });
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      storage: { rules: readFileSync(new URL('../../storage.rules', import.meta.url), 'utf8') },
+      firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') }
+    });
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await db.doc('users/student-a').set({ role: 'student' });
+      await db.doc('users/student-b').set({ role: 'student' });
+      await db.doc('users/faculty-a').set({ role: 'faculty' });
+      await db.doc('users/faculty-b').set({ role: 'faculty' });
+      await db.doc('users/admin-a').set({ role: 'admin' });
+      await db.doc(`attendance_sessions/${SESSION_ID}`).set({
+        facultyId: 'faculty-a',
+        state: 'open',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+      await db.doc(`attendance_sessions/${FINALIZED_SESSION_ID}`).set({
+        facultyId: 'faculty-a',
+        state: 'finalized',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+      // Expired longer ago than the offline sync window
+      await db.doc(`attendance_sessions/${EXPIRED_SESSION_ID}`).set({
+        facultyId: 'faculty-a',
+        state: 'closed',
+        expiresAt: new Date(Date.now() - 3 * 60 * 60 * 1000)
+      });
+      const storage = context.storage();
+      await storage.ref(PHOTO_PATH).put(new Uint8Array(1024), { contentType: 'image/jpeg' });
+      await storage.ref(PROFILE_PHOTO_PATH).put(new Uint8Array(1024), { contentType: 'image/jpeg' });
+      await storage.ref(LEAVE_PATH).put(new Uint8Array(1024), { contentType: 'application/pdf' });
+      await storage.ref(QR_PATH).put(new Uint8Array(1024), { contentType: 'image/png' });
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  it('lets a student upload their own profile photo', async () => {
+    await assertSucceeds(upload('student-a', 'profiles/student-a/photo.jpg', 1024, 'image/jpeg'));
+  });
+
+  it('lets a student add their own attendance selfie', async () => {
+    await assertSucceeds(
+      upload('student-a', `attendance_photos/${SESSION_ID}/student-a_1700000000001.jpg`, 1024, 'image/jpeg')
+    );
+  });
+
+  it("denies uploads to another student's paths", async () => {
+    await assertFails(upload('student-b', 'profiles/student-a/photo.jpg', 1024, 'image/jpeg'));
+    await assertFails(
+      upload('student-b', `attendance_photos/${SESSION_ID}/student-a_1700000000001.jpg`, 1024, 'image/jpeg')
+    );
+  });
+
+  it('denies uploads over the size limit', async () => {
+    await assertFails(upload('student-a', 'profiles/student-a/photo.jpg', MAX_SIZE + 1, 'image/jpeg'));
+  });
+
+  it('denies uploads of the wrong content type', async () => {
+    await assertFails(upload('student-a', 'profiles/student-a/photo.jpg', 1024, 'text/html'));
+    await assertFails(
+      upload('student-a', `attendance_photos/${SESSION_ID}/student-a_1700000000001.jpg`, 1024, 'image/png')
+    );
+  });
+
+  it('lets faculty read the selfies of their own session', async () => {
+    await assertSucceeds(storageAs('faculty-a').ref(PHOTO_PATH).getMetadata());
+  });
+
+  it("denies students reading another student's selfie", async () => {
+    await assertFails(storageAs('student-b').ref(PHOTO_PATH).getMetadata());
+  });
+
+  it("denies faculty reading the selfies of another faculty member's session", async () => {
+    await assertFails(storageAs('faculty-b').ref(PHOTO_PATH).getMetadata());
+  });
+
+  it('denies selfies for a finalized session', async () => {
+    await assertFails(
+      upload('student-a', `attendance_photos/${FINALIZED_SESSION_ID}/student-a_1700000000001.jpg`, 1024, 'image/jpeg')
+    );
+  });
+
+  it('denies selfies once the offline sync window after expiry has passed', async () => {
+    await assertFails(
+      upload('student-a', `attendance_photos/${EXPIRED_SESSION_ID}/student-a_1700000000001.jpg`, 1024, 'image/jpeg')
+    );
+  });
+
+  it('denies overwriting an uploaded selfie', async () => {
+    await assertFails(upload('student-a', PHOTO_PATH, 1024, 'image/jpeg'));
+  });
+
+  it('limits profile photos to the student and faculty/admin', async () => {
+    await assertSucceeds(storageAs('student-a').ref(PROFILE_PHOTO_PATH).getMetadata());
+    await assertSucceeds(storageAs('faculty-b').ref(PROFILE_PHOTO_PATH).getMetadata());
+    await assertSucceeds(storageAs('admin-a').ref(PROFILE_PHOTO_PATH).getMetadata());
+    await assertFails(storageAs('student-b').ref(PROFILE_PHOTO_PATH).getMetadata());
+  });
+
+  it('lets a student attach a document to their own leave application', async () => {
+    await assertSucceeds(
+      upload('student-a', 'leave_attachments/student-a/1700000000001_note.pdf', 1024, 'application/pdf')
+    );
+    await assertFails(
+      upload('student-b', 'leave_attachments/student-a/1700000000001_note.pdf', 1024, 'application/pdf')
+    );
+    await assertFails(
+      upload('student-a', 'leave_attachments/student-a/1700000000001_page.html', 1024, 'text/html')
+    );
+  });
+
+  it('limits leave attachments to the applicant and faculty/admin', async () => {
+    await assertSucceeds(storageAs('student-a').ref(LEAVE_PATH).getMetadata());
+    await assertSucceeds(storageAs('faculty-a').ref(LEAVE_PATH).getMetadata());
+    await assertFails(storageAs('student-b').ref(LEAVE_PATH).getMetadata());
+  });
+
+  it('lets faculty render QR codes and keeps them from students', async () => {
+    await assertSucceeds(upload('faculty-a', `qr_codes/${SESSION_ID}_1700000000001.png`, 1024, 'image/png'));
+    await assertFails(upload('faculty-a', `qr_codes/${SESSION_ID}_1700000000002.jpg`, 1024, 'image/jpeg'));
+    await assertFails(upload('student-a', `qr_codes/${SESSION_ID}_1700000000003.png`, 1024, 'image/png'));
+    await assertFails(storageAs('student-a').ref(QR_PATH).getMetadata());
+    await assertSucceeds(storageAs('faculty-b').ref(QR_PATH).getMetadata());
+  });
+
+  it('leaves deleting selfies and QR codes to admins', async () => {
+    await assertFails(storageAs('student-a').ref(PHOTO_PATH).delete());
+    await assertFails(storageAs('faculty-a').ref(QR_PATH).delete());
+    await assertSucceeds(storageAs('admin-a').ref(PHOTO_PATH).delete());
+  });
+
+  it('denies unauthenticated users', async () => {
+    await assertFails(storageAs(null).ref(PHOTO_PATH).getMetadata());
+    await assertFails(storageAs(null).ref('profiles/student-a/photo.jpg').getMetadata());
+    await assertFails(upload(null, 'profiles/student-a/photo.jpg', 1024, 'image/jpeg'));
+  });
+});